@@ -0,0 +1,16 @@
+// Scopes that can be granted to API keys. Each protected route that accepts
+// API keys declares the scope it needs with `requireScope`.
+const apiScopes = {
+  'cases:read': 'Read cases and case timelines',
+  'cases:write': 'Create, update and delete cases',
+  'events:read': 'Read calendar events and hearings',
+  'events:write': 'Create, update and delete events',
+  'documents:read': 'Read document details',
+  'documents:write': 'Upload, update and delete documents'
+};
+
+const API_SCOPES = Object.keys(apiScopes);
+
+const isValidScope = (scope) => API_SCOPES.includes(scope);
+
+module.exports = { apiScopes, API_SCOPES, isValidScope };
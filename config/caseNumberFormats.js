@@ -0,0 +1,138 @@
+// Case-type codes accepted in case numbers for each kind of court, keyed on
+// Case.courtType. Codes are written without punctuation, so "O.S.", "OS" and
+// "O S" all match OS. A null list accepts any code, for courts whose case
+// types vary too much between benches to enumerate.
+
+const DISTRICT_CIVIL = {
+  OS: 'Original Suit',
+  RA: 'Regular Appeal',
+  MA: 'Miscellaneous Appeal',
+  MISC: 'Miscellaneous Petition',
+  EX: 'Execution Petition',
+  EP: 'Execution Petition',
+  PC: 'Probate Case',
+  LAC: 'Land Acquisition Case',
+  MVC: 'Motor Vehicle Claim',
+  AS: 'Arbitration Suit',
+  COMOS: 'Commercial Original Suit',
+  COMAP: 'Commercial Appeal',
+};
+
+const CRIMINAL_TRIAL = {
+  CC: 'Criminal Case',
+  SC: 'Sessions Case',
+  SPLC: 'Special Case',
+  PCR: 'Private Complaint',
+  CRLA: 'Criminal Appeal',
+  CRLRP: 'Criminal Revision Petition',
+  CRLMISC: 'Criminal Miscellaneous',
+  BAIL: 'Bail Application',
+};
+
+const CASE_NUMBER_FORMATS = {
+  supreme_court: {
+    label: 'Supreme Court',
+    example: 'SLP(C) 1234/2023',
+    codes: {
+      SLPC: 'Special Leave Petition (Civil)',
+      SLPCRL: 'Special Leave Petition (Criminal)',
+      CA: 'Civil Appeal',
+      CRLA: 'Criminal Appeal',
+      WPC: 'Writ Petition (Civil)',
+      WPCRL: 'Writ Petition (Criminal)',
+      TPC: 'Transfer Petition (Civil)',
+      TPCRL: 'Transfer Petition (Criminal)',
+      RP: 'Review Petition',
+      CONMT: 'Contempt Petition',
+    },
+  },
+  high_court: {
+    label: 'High Court',
+    example: 'WP 5678/2023',
+    codes: {
+      WP: 'Writ Petition',
+      WPC: 'Writ Petition (Civil)',
+      WPCRL: 'Writ Petition (Criminal)',
+      WA: 'Writ Appeal',
+      RFA: 'Regular First Appeal',
+      RSA: 'Regular Second Appeal',
+      MFA: 'Miscellaneous First Appeal',
+      MSA: 'Miscellaneous Second Appeal',
+      CRP: 'Civil Revision Petition',
+      CRLP: 'Criminal Petition',
+      CRLA: 'Criminal Appeal',
+      CRLRP: 'Criminal Revision Petition',
+      COMAP: 'Commercial Appeal',
+      CCC: 'Civil Contempt',
+      HCP: 'Habeas Corpus Petition',
+      RP: 'Review Petition',
+      EXFA: 'Execution First Appeal',
+    },
+  },
+  district_court: { label: 'District Court', example: 'O.S. 1234/2024', codes: { ...DISTRICT_CIVIL, ...CRIMINAL_TRIAL } },
+  civil_court: { label: 'Civil Court', example: 'O.S. 1234/2024', codes: DISTRICT_CIVIL },
+  sessions_court: { label: 'Sessions Court', example: 'S.C. 123/2022', codes: CRIMINAL_TRIAL },
+  magistrate_court: {
+    label: "Magistrate's Court",
+    example: 'C.C. 4567/2023',
+    codes: {
+      CC: 'Criminal Case',
+      PCR: 'Private Complaint',
+      STC: 'Summary Trial Case',
+      CMP: 'Criminal Miscellaneous Petition',
+      MC: 'Maintenance Case',
+    },
+  },
+  family_court: {
+    label: 'Family Court',
+    example: 'M.C. 890/2023',
+    codes: {
+      MC: 'Matrimonial Case',
+      GWC: 'Guardian and Wards Case',
+      CRLMISC: 'Criminal Miscellaneous (Maintenance)',
+      OS: 'Original Suit',
+      EX: 'Execution Petition',
+    },
+  },
+  consumer_court: {
+    label: 'Consumer Commission',
+    example: 'CC 321/2024',
+    codes: {
+      CC: 'Consumer Complaint',
+      FA: 'First Appeal',
+      RP: 'Revision Petition',
+      EA: 'Execution Application',
+    },
+  },
+  labour_court: {
+    label: 'Labour Court',
+    example: 'I.D. 45/2022',
+    codes: {
+      ID: 'Industrial Dispute',
+      KID: 'Industrial Dispute (Karnataka)',
+      AID: 'Application under the Industrial Disputes Act',
+      ECA: "Employees' Compensation Application",
+      PGA: 'Payment of Gratuity Application',
+    },
+  },
+  tribunal: { label: 'Tribunal', example: 'O.A. 12/2024', codes: null },
+  special_court: { label: 'Special Court', example: 'Spl.C.C. 77/2023', codes: null },
+};
+
+// Longer spellings people type instead of the code
+const CODE_ALIASES = {
+  ORIGINALSUIT: 'OS',
+  CIVILAPPEAL: 'CA',
+  CRIMINALAPPEAL: 'CRLA',
+  CRIMINALPETITION: 'CRLP',
+  WRITPETITION: 'WP',
+  WRITAPPEAL: 'WA',
+  SLPCIVIL: 'SLPC',
+  SLPCRIMINAL: 'SLPCRL',
+  WPCRIMINAL: 'WPCRL',
+  WPCIVIL: 'WPC',
+  EXECUTIONPETITION: 'EP',
+  SPLCC: 'SPLC',
+};
+
+module.exports = { CASE_NUMBER_FORMATS, CODE_ALIASES };
@@ -0,0 +1,107 @@
+// Stage workflow for cases: which caseStage a case may move to next, the
+// guards a move must pass and the actions run when a stage is entered.
+//
+// `transitions` lists the stages reachable from each stage. `enter.<stage>`
+// holds `guards` (names of checks in utils/caseWorkflow.js) and `actions`:
+//   { type: 'event', title, eventType, offsetDays } - calendar entry on the case
+//   { type: 'notify' }                              - tell the case team
+// `close` and `reopen` govern status changes. Case types listed under
+// `byCaseType` replace the parts of the default workflow they define; a stage
+// missing from a type's `transitions` leads to the next stage it lists.
+
+const STAGE_LABELS = {
+  filing: 'Filing',
+  pre_trial: 'Pre-trial',
+  trial: 'Trial',
+  evidence: 'Evidence',
+  arguments: 'Arguments',
+  judgment: 'Judgment',
+  execution: 'Execution',
+  appeal: 'Appeal',
+};
+
+// Outcomes a case can be closed with; the early ones can end a case at any stage
+const CASE_OUTCOMES = ['successful', 'partly_successful', 'unsuccessful', 'settled', 'withdrawn', 'dismissed'];
+const EARLY_OUTCOMES = ['settled', 'withdrawn', 'dismissed'];
+
+const defaultWorkflow = {
+  transitions: {
+    filing: ['pre_trial'],
+    pre_trial: ['trial'],
+    trial: ['evidence'],
+    evidence: ['arguments'],
+    arguments: ['judgment'],
+    judgment: ['execution', 'appeal'],
+    execution: [],
+    appeal: [],
+  },
+  enter: {
+    pre_trial: { guards: ['checklistComplete'] },
+    judgment: { actions: [{ type: 'notify' }] },
+    execution: {
+      actions: [
+        { type: 'event', title: 'File execution petition', eventType: 'case_filing', offsetDays: 30 },
+        { type: 'notify' },
+      ],
+    },
+    appeal: {
+      actions: [
+        { type: 'event', title: 'Limitation for appeal ends', eventType: 'appeal', offsetDays: 30 },
+        { type: 'notify' },
+      ],
+    },
+  },
+  close: { guards: ['hasOutcome', 'decidedOrSettled'], actions: [{ type: 'notify' }] },
+  reopen: { guards: ['hasReason'], actions: [{ type: 'notify' }] },
+};
+
+const caseWorkflow = {
+  default: defaultWorkflow,
+  byCaseType: {
+    // Admission, notice, then straight to hearing on merits
+    writ: {
+      transitions: {
+        filing: ['pre_trial'],
+        pre_trial: ['arguments'],
+        arguments: ['judgment'],
+        judgment: ['appeal'],
+        appeal: [],
+      },
+    },
+    arbitration: {
+      transitions: {
+        filing: ['pre_trial'],
+        pre_trial: ['evidence'],
+        evidence: ['arguments'],
+        arguments: ['judgment'],
+        judgment: ['execution', 'appeal'],
+        execution: [],
+        appeal: [],
+      },
+    },
+    appeal: {
+      transitions: {
+        filing: ['arguments'],
+        arguments: ['judgment'],
+        judgment: ['execution', 'appeal'],
+        execution: [],
+        appeal: [],
+      },
+    },
+    revision: {
+      transitions: {
+        filing: ['arguments'],
+        arguments: ['judgment'],
+        judgment: [],
+      },
+    },
+    execution: {
+      transitions: {
+        filing: ['execution'],
+        execution: [],
+      },
+    },
+  },
+};
+
+module.exports = { caseWorkflow, STAGE_LABELS, CASE_OUTCOMES, EARLY_OUTCOMES };
@@ -0,0 +1,22 @@
+// Password rules, overridable through the environment.
+// A max age of 0 means passwords never expire.
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const passwordPolicy = {
+  minLength: intFromEnv('PASSWORD_MIN_LENGTH', 8),
+  maxLength: 128,
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  // Number of previous passwords that cannot be reused
+  historySize: intFromEnv('PASSWORD_HISTORY_SIZE', 5),
+  maxAgeDays: intFromEnv('PASSWORD_MAX_AGE_DAYS', 0),
+  // Reject passwords found in config/breachedPasswords.txt
+  rejectBreached: process.env.PASSWORD_REJECT_BREACHED !== 'false'
+};
+
+module.exports = { passwordPolicy };
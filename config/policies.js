@@ -0,0 +1,39 @@
+// Who may do what with cases, documents and events.
+//
+// Each action lists the relationships to the resource that allow it. Plain
+// names are relationships to the resource itself; `case.<name>` is a
+// relationship to the case a document or event belongs to, and
+// `case:<action>` allows anyone who may perform that action on the case.
+//
+// Case relationships:
+//   primaryLawyer  - Case.lawyer
+//   teamLawyer     - listed in Case.lawyers[].user
+//   primaryClient  - Case.client
+//   client         - primary client or listed in Case.clients[].user
+//   firmPartner, firmAssociate, firmClerk - role in the firm owning the record
+//   grantView, grantEdit - explicit grant in the record's accessibleTo list
+// Document relationships: uploader, grantView, grantEdit
+// Event relationships: creator, participant, firm roles
+const policies = {
+  case: {
+    read: ['primaryLawyer', 'teamLawyer', 'client', 'firmPartner', 'firmAssociate', 'firmClerk', 'grantView', 'grantEdit'],
+    edit: ['primaryLawyer', 'teamLawyer', 'primaryClient', 'firmPartner', 'firmAssociate', 'grantEdit'],
+    upload: ['primaryLawyer', 'teamLawyer', 'client', 'firmPartner', 'firmAssociate', 'firmClerk', 'grantEdit'],
+    share: ['primaryLawyer', 'firmPartner'],
+    invite: ['primaryLawyer', 'teamLawyer', 'firmPartner', 'firmAssociate'],
+    delete: ['primaryLawyer', 'primaryClient', 'firmPartner']
+  },
+  document: {
+    read: ['uploader', 'grantView', 'grantEdit', 'case:read'],
+    edit: ['uploader', 'grantEdit', 'case.primaryLawyer', 'case.teamLawyer', 'case.firmPartner', 'case.firmAssociate'],
+    share: ['uploader', 'case.primaryLawyer', 'case.teamLawyer', 'case.firmPartner'],
+    delete: ['case.primaryLawyer', 'case.teamLawyer', 'case.firmPartner']
+  },
+  event: {
+    read: ['creator', 'participant', 'firmPartner', 'firmAssociate', 'firmClerk', 'case:read'],
+    edit: ['creator', 'firmPartner', 'firmAssociate', 'case.primaryLawyer', 'case.teamLawyer'],
+    delete: ['creator', 'firmPartner', 'case.primaryLawyer', 'case.teamLawyer']
+  }
+};
+
+module.exports = { policies };
@@ -0,0 +1,20 @@
+// Which roles must have a verified email address before they can perform an action.
+// Roles not listed are allowed regardless of verification.
+const verificationPolicy = {
+  // Creating a new case
+  createCase: {
+    lawyer: true,
+    client: false
+  },
+  // Being linked as a team member through Case.lawyers[].user
+  joinCaseTeam: {
+    lawyer: true,
+    client: false
+  }
+};
+
+const isVerificationRequired = (action, role) => {
+  return !!(verificationPolicy[action] && verificationPolicy[action][role]);
+};
+
+module.exports = { verificationPolicy, isVerificationRequired };
@@ -0,0 +1,437 @@
+const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+const Impersonation = require('../models/impersonation.model');
+const ImpersonationLog = require('../models/impersonationLog.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { sendPasswordResetEmail } = require('../utils/sendgridMailer');
+const { startImpersonation } = require('../utils/impersonation');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const ROLES = ['client', 'lawyer', 'admin'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  isActive: user.isActive,
+  isEmailVerified: user.isEmailVerified,
+  passwordResetRequired: user.passwordResetRequired,
+  deactivatedAt: user.deactivatedAt,
+  deactivationReason: user.deactivationReason,
+  deletionScheduledFor: user.deletionScheduledFor,
+  deletedAt: user.deletedAt,
+  lastLogin: user.lastLogin,
+  createdAt: user.createdAt,
+});
+
+// Load the target user, refusing actions an admin must not take on their own account
+const findTargetUser = async (req, next, { allowSelf = true } = {}) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    next(new AppError('User not found', 404));
+    return null;
+  }
+  if (!allowSelf && user._id.toString() === req.user.id) {
+    next(new AppError('You cannot perform this action on your own account', 400));
+    return null;
+  }
+  return user;
+};
+
+/**
+ * @desc    List, search and filter users
+ * @route   GET /api/admin/users
+ * @access  Private (Admin)
+ */
+exports.getUsers = async (req, res, next) => {
+  try {
+    const { search, role, status, verified } = req.query;
+    const filter = {};
+
+    if (search) {
+      const pattern = escapeRegex(search);
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } },
+      ];
+    }
+
+    if (role) filter.role = role;
+    if (status === 'active') filter.isActive = true;
+    if (status === 'inactive') filter.isActive = false;
+    if (verified !== undefined) filter.isEmailVerified = verified === 'true';
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const users = await User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+      data: users.map(formatUser),
+    });
+  } catch (error) {
+    logger.error(`Admin get users error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single user
+ * @route   GET /api/admin/users/:id
+ * @access  Private (Admin)
+ */
+exports.getUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, next);
+    if (!user) return;
+
+    const lockUntil = await LoginThrottle.getLockUntil(user.email);
+    const activeSessions = await Session.countDocuments({
+      user: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...formatUser(user),
+        lockedUntil: lockUntil,
+        activeSessions,
+      },
+    });
+  } catch (error) {
+    logger.error(`Admin get user error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Deactivate a user and end all their sessions
+ * @route   PATCH /api/admin/users/:id/deactivate
+ * @access  Private (Admin)
+ */
+exports.deactivateUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, next, { allowSelf: false });
+    if (!user) return;
+
+    if (!user.isActive) {
+      return next(new AppError('User is already deactivated', 400));
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = Date.now();
+    user.deactivatedBy = req.user.id;
+    user.deactivationReason = req.body.reason;
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id, 'account_deactivated');
+
+    logger.info(`User ${user.email} deactivated by admin ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: formatUser(user),
+    });
+  } catch (error) {
+    logger.error(`Admin deactivate user error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reactivate a deactivated user
+ * @route   PATCH /api/admin/users/:id/reactivate
+ * @access  Private (Admin)
+ */
+exports.reactivateUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, next);
+    if (!user) return;
+
+    if (user.isActive) {
+      return next(new AppError('User is already active', 400));
+    }
+
+    if (user.deletedAt) {
+      return next(new AppError('Deleted accounts cannot be reactivated', 400));
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    user.deactivatedBy = undefined;
+    user.deactivationReason = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user.email} reactivated by admin ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: formatUser(user),
+    });
+  } catch (error) {
+    logger.error(`Admin reactivate user error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PATCH /api/admin/users/:id/role
+ * @access  Private (Admin)
+ */
+exports.changeRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return next(new AppError(`Role must be one of: ${ROLES.join(', ')}`, 400));
+    }
+
+    const user = await findTargetUser(req, next, { allowSelf: false });
+    if (!user) return;
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`User ${user.email} role changed from ${previousRole} to ${role} by admin ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: formatUser(user),
+    });
+  } catch (error) {
+    logger.error(`Admin change role error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Force a password reset: end all sessions, block password login
+ *          and email a reset link
+ * @route   POST /api/admin/users/:id/force-password-reset
+ * @access  Private (Admin)
+ */
+exports.forcePasswordReset = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, next, { allowSelf: false });
+    if (!user) return;
+
+    const resetToken = user.createPasswordResetToken();
+    user.passwordResetRequired = true;
+    await user.save({ validateBeforeSave: false });
+
+    await Session.revokeAllForUser(user._id, 'forced_password_reset');
+
+    try {
+      await sendPasswordResetEmail(user.email, user.name, `${FRONTEND_URL}/auth/reset-password/${resetToken}`);
+    } catch (mailError) {
+      // The user can still request a new link through forgot-password
+      logger.error(`Forced reset email error for ${user.email}: ${mailError.message}`);
+    }
+
+    logger.info(`Password reset forced for ${user.email} by admin ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password reset required. A reset link has been emailed to the user',
+    });
+  } catch (error) {
+    logger.error(`Admin force password reset error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Lift a login lockout
+ * @route   POST /api/admin/users/:id/unlock
+ * @access  Private (Admin)
+ */
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, next);
+    if (!user) return;
+
+    await LoginThrottle.clear(user.email);
+
+    logger.info(`User ${user.email} unlocked by admin ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked',
+    });
+  } catch (error) {
+    logger.error(`Admin unlock user error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start a time-limited impersonation of a user for support
+ * @route   POST /api/admin/users/:id/impersonate
+ * @access  Private (Admin)
+ */
+exports.impersonateUser = async (req, res, next) => {
+  try {
+    const { reason, minutes } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return next(new AppError('Please give a reason for impersonating this user', 400));
+    }
+
+    const user = await findTargetUser(req, next, { allowSelf: false });
+    if (!user) return;
+
+    if (user.role === 'admin') {
+      return next(new AppError('Administrators cannot be impersonated', 400));
+    }
+
+    if (!user.isActive || user.deletedAt) {
+      return next(new AppError('Inactive accounts cannot be impersonated', 400));
+    }
+
+    const { impersonation, token } = await startImpersonation(req, user, { reason: reason.trim(), minutes });
+
+    logger.warn(`Impersonation ${impersonation._id} started: admin ${req.user.email} as ${user.email} until ${impersonation.expiresAt.toISOString()} (${impersonation.reason})`);
+
+    res.status(201).json({
+      success: true,
+      token,
+      data: {
+        id: impersonation._id,
+        target: formatUser(user),
+        reason: impersonation.reason,
+        expiresAt: impersonation.expiresAt,
+      },
+    });
+  } catch (error) {
+    logger.error(`Admin impersonate user error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List impersonations, optionally by admin or target user
+ * @route   GET /api/admin/impersonations
+ * @access  Private (Admin)
+ */
+exports.getImpersonations = async (req, res, next) => {
+  try {
+    const { admin, target, active } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const filter = {};
+    if (admin) filter.admin = admin;
+    if (target) filter.target = target;
+    if (active === 'true') {
+      filter.endedAt = null;
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const [impersonations, total] = await Promise.all([
+      Impersonation.find(filter)
+        .populate('admin', 'name email')
+        .populate('target', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Impersonation.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: impersonations.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: impersonations,
+    });
+  } catch (error) {
+    logger.error(`Admin get impersonations error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get an impersonation with its audit trail
+ * @route   GET /api/admin/impersonations/:id
+ * @access  Private (Admin)
+ */
+exports.getImpersonation = async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id)
+      .populate('admin', 'name email')
+      .populate('target', 'name email role')
+      .populate('endedBy', 'name email');
+
+    if (!impersonation) {
+      return next(new AppError('Impersonation not found', 404));
+    }
+
+    const actions = await ImpersonationLog.find({ impersonation: impersonation._id })
+      .select('method path statusCode ip createdAt')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...impersonation.toObject(),
+        active: impersonation.isActive(),
+        actions,
+      },
+    });
+  } catch (error) {
+    logger.error(`Admin get impersonation error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    End an impersonation early; its token stops working immediately
+ * @route   DELETE /api/admin/impersonations/:id
+ * @access  Private (Admin)
+ */
+exports.endImpersonation = async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id);
+
+    if (!impersonation) {
+      return next(new AppError('Impersonation not found', 404));
+    }
+
+    if (impersonation.isActive()) {
+      await impersonation.end(req.user._id);
+      logger.warn(`Impersonation ${impersonation._id} ended by admin ${req.user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Impersonation ended',
+    });
+  } catch (error) {
+    logger.error(`Admin end impersonation error: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,139 @@
+const ApiKey = require('../models/apiKey.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { API_SCOPES, isValidScope } = require('../config/apiScopes');
+
+const MAX_KEYS_PER_USER = 20;
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  revokedAt: apiKey.revokedAt,
+  active: apiKey.isActive(),
+  createdAt: apiKey.createdAt,
+});
+
+/**
+ * @desc    List the scopes that can be granted to API keys
+ * @route   GET /api/auth/api-keys/scopes
+ * @access  Private
+ */
+exports.getScopes = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: API_SCOPES,
+  });
+};
+
+/**
+ * @desc    List the current user's API keys
+ * @route   GET /api/auth/api-keys
+ * @access  Private
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(formatApiKey),
+    });
+  } catch (error) {
+    logger.error(`Error getting API keys: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create an API key. The key itself is returned only in this response.
+ * @route   POST /api/auth/api-keys
+ * @access  Private
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    if (!name || !name.trim()) {
+      return next(new AppError('API key name is required', 400));
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return next(new AppError('At least one scope is required', 400));
+    }
+
+    const invalidScopes = scopes.filter(scope => !isValidScope(scope));
+    if (invalidScopes.length > 0) {
+      return next(new AppError(`Unknown scopes: ${invalidScopes.join(', ')}`, 400));
+    }
+
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+      return next(new AppError(`expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`, 400));
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (activeKeys >= MAX_KEYS_PER_USER) {
+      return next(new AppError(`You can have at most ${MAX_KEYS_PER_USER} active API keys`, 400));
+    }
+
+    const { apiKey, key } = await ApiKey.generate(req.user.id, {
+      name: name.trim(),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    });
+
+    logger.info(`API key created: ${apiKey.prefix} (ID: ${apiKey._id}) for user ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy this key now. It will not be shown again.',
+      key,
+      data: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    logger.error(`Error creating API key: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke an API key
+ * @route   DELETE /api/auth/api-keys/:id
+ * @access  Private
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!apiKey) {
+      return next(new AppError('API key not found', 404));
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = Date.now();
+      await apiKey.save();
+      logger.info(`API key revoked: ${apiKey.prefix} (ID: ${apiKey._id}) by user ${req.user.id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    logger.error(`Error revoking API key: ${error.message}`);
+    next(error);
+  }
+};
@@ -1,9 +1,21 @@
 const User = require('../models/user.model');
 const Profile = require('../models/profile.model');
-const { generateAccessToken, generateRefreshToken, verifyToken } = require('../utils/jwt'); // Updated to generateAccessToken
+const RefreshToken = require('../models/refreshToken.model');
+const RevokedToken = require('../models/revokedToken.model');
+const Session = require('../models/session.model');
+const MagicLink = require('../models/magicLink.model');
+const { verifyToken, decodeToken, generatePurposeToken, verifyPurposeToken } = require('../utils/jwt');
+const { sendVerificationEmail, sendPasswordResetEmail, sendAccountLockedEmail, sendMagicLinkEmail } = require('../utils/sendgridMailer');
+const { recordLoginAttempt } = require('../utils/loginAudit');
+const LoginHistory = require('../models/loginHistory.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+const { issueAuthTokens, getTwoFactorChallenge, getLoginBlock, getClientIp } = require('../utils/authTokens');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { setPassword, setRandomPassword, verifyPassword, isPasswordExpired } = require('../utils/passwordService');
+const { findInvitationByToken, acceptInvitation } = require('../utils/caseInvitations');
 const admin = require('firebase-admin');
 
 // Firebase Admin SDK init (recommended to move to its own module)
@@ -13,6 +25,65 @@ if (!admin.apps.length) {
   });
 }
 
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Verification email throttling
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000; // 1 minute between emails
+const VERIFICATION_MAX_PER_DAY = 5;
+
+// Compared against when the email is unknown so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later';
+
+// How long a user with an expired password has to choose a new one after logging in
+const PASSWORD_CHANGE_EXPIRE = '10m';
+
+// Sign-in links per account, on top of the per-IP limiter
+const MAGIC_LINK_RESEND_INTERVAL = 60 * 1000;
+const MAGIC_LINK_MAX_PER_HOUR = 5;
+const MAGIC_LINK_SENT_MESSAGE = 'If your email is registered, you will receive a sign-in link';
+
+// Count a failed password login and email an unlock link if it locked the account
+const handleFailedLogin = async (req, email, user) => {
+  const { lockUntil } = await LoginThrottle.registerFailure(email);
+
+  await recordLoginAttempt(req, {
+    user,
+    email,
+    method: 'password',
+    success: false,
+    failureReason: 'invalid_credentials',
+    lockedUntil: lockUntil || undefined,
+  });
+
+  if (lockUntil && user) {
+    logger.warn(`Account locked until ${lockUntil.toISOString()}: ${user.email}`);
+    try {
+      const unlockToken = generatePurposeToken({ email: user.email }, 'unlock', '24h');
+      await sendAccountLockedEmail(user.email, user.name, `${FRONTEND_URL}/auth/unlock/${unlockToken}`, lockUntil);
+    } catch (mailError) {
+      logger.error(`Account locked email error for ${user.email}: ${mailError.message}`);
+    }
+  }
+
+  return lockUntil;
+};
+
+// Email a signed verification link and record when it was sent
+const sendVerificationLink = async (user) => {
+  const token = generatePurposeToken({ id: user._id, email: user.email }, 'verify-email', '24h');
+  const verifyLink = `${FRONTEND_URL}/auth/verify-email/${token}`;
+
+  const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+  const withinDay = user.emailVerificationSentAt && user.emailVerificationSentAt.getTime() > dayAgo;
+  user.emailVerificationSendCount = withinDay ? (user.emailVerificationSendCount || 0) + 1 : 1;
+  user.emailVerificationSentAt = Date.now();
+  await user.save({ validateBeforeSave: false });
+
+  await sendVerificationEmail(user.email, user.name, verifyLink);
+};
+
 /**
  * @desc    Google login
  */
@@ -21,20 +92,29 @@ exports.googleLogin = async (req, res, next) => {
     const { idToken } = req.body;
     if (!idToken) return next(new AppError('No ID token provided', 400));
 
-    const decodedToken = await admin.auth().verifyIdToken(idToken);
+    let decodedToken;
+    try {
+      decodedToken = await admin.auth().verifyIdToken(idToken);
+    } catch (verifyError) {
+      await recordLoginAttempt(req, { method: 'google', success: false, failureReason: 'invalid_google_token' });
+      return next(new AppError('Invalid Google ID token', 401));
+    }
     const { uid, email, name, picture } = decodedToken;
 
-    let user = await User.findOne({ firebaseUID: uid }) || await User.findOne({ email });
+    let user = await User.findOne({ firebaseUID: uid }).select('+twoFactorSecret')
+      || await User.findOne({ email }).select('+twoFactorSecret');
 
     if (!user) {
-      user = await User.create({
+      user = new User({
         name: name || 'Google User',
         email,
-        password: Math.random().toString(36).slice(-8),
         firebaseUID: uid,
         role: 'client',
         isEmailVerified: true,
       });
+      // Never shown to anyone; these accounts sign in with Google or a magic link
+      await setRandomPassword(user);
+      await user.save();
 
       await Profile.create({
         user: user._id,
@@ -45,7 +125,20 @@ exports.googleLogin = async (req, res, next) => {
       await user.save();
     }
 
-    const token = user.generateAuthToken();
+    const block = getLoginBlock(user, 'google');
+    if (block) {
+      await recordLoginAttempt(req, { user, method: 'google', success: false, failureReason: block.reason });
+      return next(new AppError(block.message, 403));
+    }
+
+    // Require the second factor before issuing a session
+    const challengeToken = await getTwoFactorChallenge(user, 'google');
+    if (challengeToken) {
+      return res.status(200).json({ success: true, twoFactorRequired: true, challengeToken });
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user, { req });
+    await recordLoginAttempt(req, { user, method: 'google', success: true });
 
     const userData = {
       id: user._id,
@@ -54,7 +147,7 @@ exports.googleLogin = async (req, res, next) => {
       role: user.role,
     };
 
-    res.status(200).json({ success: true, token, user: userData });
+    res.status(200).json({ success: true, token, refreshToken, user: userData });
   } catch (error) {
     next(error);
   }
@@ -65,20 +158,44 @@ exports.googleLogin = async (req, res, next) => {
  */
 exports.register = async (req, res, next) => {
   try {
-    const { name, email, password, role, phone, address, bio } = req.body;
+    const { name, email, password, phone, address, bio, inviteToken } = req.body;
+    let { role } = req.body;
+
+    // Administrators can only be appointed by other administrators
+    if (role && !['client', 'lawyer'].includes(role)) {
+      return next(new AppError('Invalid role', 400));
+    }
+
+    // Signing up from a case invitation: the invite fixes the email and role
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await findInvitationByToken(inviteToken);
+      if (!invitation) {
+        return next(new AppError('Invitation is invalid or has expired', 400));
+      }
+      if (invitation.email !== (email || '').toLowerCase()) {
+        return next(new AppError('Please sign up with the email address the invitation was sent to', 400));
+      }
+      role = invitation.role;
+    }
 
     const userExists = await User.findOne({ email });
     if (userExists) return next(new AppError('User already exists with this email', 400));
 
-    const hashedPassword = await bcrypt.hash(password, 10);
-
-    const user = await User.create({
+    const user = new User({
       name,
       email,
-      password: hashedPassword,
       role: role || 'lawyer',
+      // The invite link was delivered to this address, which proves ownership
+      isEmailVerified: !!invitation,
     });
 
+    const passwordErrors = await setPassword(user, password);
+    if (passwordErrors.length) {
+      return next(new AppError(passwordErrors.join('. '), 400));
+    }
+    await user.save();
+
     await Profile.create({
       user: user._id,
       phone,
@@ -86,17 +203,29 @@ exports.register = async (req, res, next) => {
       bio,
     });
 
-    const token = generateAccessToken(user);
+    if (invitation) {
+      await acceptInvitation(invitation, user);
+    } else {
+      try {
+        await sendVerificationLink(user);
+      } catch (mailError) {
+        // The user can request another link, so don't fail the signup
+        logger.error(`Verification email error for ${email}: ${mailError.message}`);
+      }
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user, { req });
 
     const userData = {
       id: user._id,
       name: user.name,
       email: user.email,
       role: user.role,
+      isEmailVerified: user.isEmailVerified,
     };
 
     logger.info(`New user registered: ${email}`);
-    res.status(201).json({ success: true, token, user: userData });
+    res.status(201).json({ success: true, token, refreshToken, user: userData });
   } catch (error) {
     logger.error(`Registration error: ${error.message}`);
     next(error);
@@ -118,25 +247,65 @@ exports.login = async (req, res, next) => {
       return next(new AppError('Please provide email and password', 400));
     }
 
-    // Check if user exists
-    const user = await User.findOne({ email }).select('+password');
-    if (!user) {
-      return next(new AppError('Invalid credentials', 401));
+    const user = await User.findOne({ email }).select('+password +twoFactorSecret');
+
+    // Refuse locked emails before checking the password. Unknown emails lock
+    // the same way, so the response never reveals whether an account exists.
+    const lockUntil = await LoginThrottle.getLockUntil(email);
+    if (lockUntil) {
+      await recordLoginAttempt(req, { user, email, method: 'password', success: false, failureReason: 'account_locked' });
+      return next(new AppError(LOCKED_MESSAGE, 429));
     }
 
-    // Check if password matches
-    const isPasswordMatch = await bcrypt.compare(password, user.password);
-    if (!isPasswordMatch) {
+    // Check if password matches (against a dummy hash when there is no such user)
+    const isPasswordMatch = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !isPasswordMatch) {
+      const lockedUntil = await handleFailedLogin(req, email, user);
+      if (lockedUntil) {
+        return next(new AppError(LOCKED_MESSAGE, 429));
+      }
       return next(new AppError('Invalid credentials', 401));
     }
 
-    // Generate JWT token
-    const token = generateAccessToken(user);
+    await LoginThrottle.clear(email);
+
+    const block = getLoginBlock(user, 'password');
+    if (block) {
+      await recordLoginAttempt(req, { user, method: 'password', success: false, failureReason: block.reason });
+      return next(new AppError(block.message, 403));
+    }
+
+    // An expired password can only be used to choose a new one
+    if (isPasswordExpired(user)) {
+      await recordLoginAttempt(req, { user, method: 'password', success: false, failureReason: 'password_expired' });
+      const passwordChangeToken = generatePurposeToken({ id: user._id }, 'password-expired', PASSWORD_CHANGE_EXPIRE);
+      return res.status(200).json({
+        success: true,
+        passwordExpired: true,
+        passwordChangeToken,
+      });
+    }
+
+    // With 2FA enabled, the client must exchange this challenge at /api/auth/2fa/verify
+    const challengeToken = await getTwoFactorChallenge(user, 'password');
+    if (challengeToken) {
+      logger.info(`2FA challenge issued for: ${email}`);
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken,
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user, { req });
 
     // Update last login timestamp
     user.lastLogin = Date.now();
     await user.save();
 
+    await recordLoginAttempt(req, { user, method: 'password', success: true });
+
     // Return user data without password
     const userData = {
       id: user._id,
@@ -150,6 +319,7 @@ exports.login = async (req, res, next) => {
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: userData,
     });
   } catch (error) {
@@ -158,6 +328,297 @@ exports.login = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Email a single-use sign-in link. The response carries a nonce that
+ *          the browser must send back with the link's token.
+ * @route   POST /api/auth/magic-link
+ * @access  Public
+ */
+exports.requestMagicLink = async (req, res, next) => {
+  try {
+    const email = (req.body.email || '').trim().toLowerCase();
+    if (!email) {
+      return next(new AppError('Please provide an email', 400));
+    }
+
+    // Handed out whether or not the email is registered, so the response
+    // never reveals which addresses have accounts
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const respond = () => res.status(200).json({
+      success: true,
+      message: MAGIC_LINK_SENT_MESSAGE,
+      nonce,
+    });
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return respond();
+    }
+
+    const now = Date.now();
+    const [lastMinute, lastHour] = await Promise.all([
+      MagicLink.countSince(user._id, new Date(now - MAGIC_LINK_RESEND_INTERVAL)),
+      MagicLink.countSince(user._id, new Date(now - 60 * 60 * 1000)),
+    ]);
+    if (lastMinute > 0 || lastHour >= MAGIC_LINK_MAX_PER_HOUR) {
+      logger.warn(`Magic link throttled for: ${email}`);
+      return respond();
+    }
+
+    const token = await MagicLink.issue(user, nonce, {
+      ip: getClientIp(req),
+      userAgent: req.get('user-agent'),
+    });
+
+    try {
+      await sendMagicLinkEmail(user.email, user.name, `${FRONTEND_URL}/auth/magic-link/${token}`, MagicLink.TTL / 60000);
+      logger.info(`Magic link sent to: ${email}`);
+    } catch (mailError) {
+      // Don't leave a usable link behind if the email never went out
+      await MagicLink.deleteMany({ user: user._id, usedAt: null });
+      logger.error(`Magic link email error for ${email}: ${mailError.message}`);
+    }
+
+    respond();
+  } catch (error) {
+    logger.error(`Magic link request error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a sign-in link for the same tokens as a password login
+ * @route   POST /api/auth/magic-link/verify
+ * @access  Public
+ */
+exports.verifyMagicLink = async (req, res, next) => {
+  try {
+    const { token, nonce } = req.body;
+
+    if (!token || !nonce) {
+      return next(new AppError('Please provide the link token and nonce', 400));
+    }
+
+    const link = await MagicLink.consume(token, nonce);
+    const user = link ? await User.findById(link.user).select('+twoFactorSecret') : null;
+    if (!user) {
+      await recordLoginAttempt(req, { method: 'magic_link', success: false, failureReason: 'invalid_magic_link' });
+      return next(new AppError('This sign-in link is invalid or has expired. Please request a new one', 401));
+    }
+
+    const block = getLoginBlock(user, 'magic_link');
+    if (block) {
+      await recordLoginAttempt(req, { user, method: 'magic_link', success: false, failureReason: block.reason });
+      return next(new AppError(block.message, 403));
+    }
+
+    // Receiving the link proves the address belongs to the user
+    user.isEmailVerified = true;
+
+    const challengeToken = await getTwoFactorChallenge(user, 'magic_link');
+    if (challengeToken) {
+      await user.save({ validateBeforeSave: false });
+      return res.status(200).json({ success: true, twoFactorRequired: true, challengeToken });
+    }
+
+    const { token: accessToken, refreshToken } = await issueAuthTokens(user, { req });
+
+    user.lastLogin = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    await recordLoginAttempt(req, { user, method: 'magic_link', success: true });
+
+    logger.info(`User logged in with magic link: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    logger.error(`Magic link login error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rotate refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+exports.refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return next(new AppError('No refresh token provided', 400));
+    }
+
+    const decoded = verifyToken(refreshToken, process.env.JWT_REFRESH_SECRET);
+    if (!decoded || !decoded.jti || !decoded.family) {
+      return next(new AppError('Invalid refresh token', 401));
+    }
+
+    // Mark the presented token as rotated. The filter makes this atomic, so a
+    // token can only ever be exchanged once.
+    const stored = await RefreshToken.findOneAndUpdate(
+      { jti: decoded.jti, rotatedAt: null, revokedAt: null },
+      { rotatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!stored) {
+      const existing = await RefreshToken.findOne({ jti: decoded.jti });
+
+      // A token that was already rotated is being replayed: assume it leaked
+      // and end the session it belongs to, revoking the whole token family.
+      if (existing && existing.rotatedAt) {
+        const session = await Session.findById(existing.family);
+        if (session) {
+          await session.revoke('reuse_detected');
+        } else {
+          await RefreshToken.revokeFamily(existing.family, 'reuse_detected');
+        }
+        logger.warn(`Refresh token reuse detected for user ${existing.user} (family ${existing.family})`);
+      }
+
+      return next(new AppError('Invalid refresh token', 401));
+    }
+
+    const session = await Session.findById(stored.family);
+    if (!session || !session.isActive()) {
+      if (session && !session.revokedAt) {
+        await session.revoke('idle_timeout');
+      }
+      return next(new AppError('Session expired. Please log in again', 401));
+    }
+
+    const user = await User.findById(stored.user);
+    if (!user || !user.isActive) {
+      await session.revoke(user ? 'account_deactivated' : 'user_not_found');
+      return next(new AppError('Invalid refresh token', 401));
+    }
+
+    const tokens = await issueAuthTokens(user, { session });
+
+    stored.replacedBy = decodeToken(tokens.refreshToken).payload.jti;
+    await stored.save();
+
+    res.status(200).json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+    });
+  } catch (error) {
+    logger.error(`Refresh token error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlock an account using the link emailed on lockout
+ * @route   POST /api/auth/unlock/:token
+ * @access  Public
+ */
+exports.unlockAccount = async (req, res, next) => {
+  try {
+    const decoded = verifyPurposeToken(req.params.token, 'unlock');
+    if (!decoded) {
+      return next(new AppError('Invalid or expired unlock link', 400));
+    }
+
+    await LoginThrottle.clear(decoded.email);
+
+    logger.info(`Account unlocked via email link: ${decoded.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can log in again',
+    });
+  } catch (error) {
+    logger.error(`Unlock account error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify email address
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const decoded = verifyPurposeToken(req.params.token, 'verify-email');
+    if (!decoded) {
+      return next(new AppError('Invalid or expired verification link', 400));
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // The link is only valid for the address it was sent to
+    if (!user || user.email !== decoded.email) {
+      return next(new AppError('Invalid or expired verification link', 400));
+    }
+
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      await user.save({ validateBeforeSave: false });
+      logger.info(`Email verified for user: ${user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    logger.error(`Verify email error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend email verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isEmailVerified) {
+      return next(new AppError('Email is already verified', 400));
+    }
+
+    const lastSent = user.emailVerificationSentAt ? user.emailVerificationSentAt.getTime() : 0;
+    if (Date.now() - lastSent < VERIFICATION_RESEND_INTERVAL) {
+      return next(new AppError('Please wait a minute before requesting another verification email', 429));
+    }
+
+    const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+    if (lastSent > dayAgo && user.emailVerificationSendCount >= VERIFICATION_MAX_PER_DAY) {
+      return next(new AppError('Too many verification emails requested. Please try again tomorrow', 429));
+    }
+
+    await sendVerificationLink(user);
+
+    logger.info(`Verification email resent to: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    logger.error(`Resend verification error: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get current user profile
  * @route   GET /api/auth/me
@@ -178,7 +639,14 @@ exports.getMe = async (req, res, next) => {
         name: user.name,
         email: user.email,
         role: user.role,
+        isEmailVerified: user.isEmailVerified,
       },
+      // Lets the app show a banner while support is acting as this user
+      impersonation: req.impersonation ? {
+        id: req.impersonation._id,
+        admin: req.impersonation.admin,
+        expiresAt: req.impersonation.expiresAt,
+      } : undefined,
     });
   } catch (error) {
     next(error);
@@ -186,15 +654,167 @@ exports.getMe = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user / clear cookie
+ * @desc    Logout user and revoke the current tokens
  * @route   POST /api/auth/logout
  * @access  Private
  */
-exports.logout = (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully',
-  });
+exports.logout = async (req, res, next) => {
+  try {
+    if (req.token.jti) {
+      await RevokedToken.revoke(req.token, 'logout');
+    }
+
+    // End the session, which also revokes its refresh token chain
+    if (req.authSession) {
+      await req.authSession.revoke('logout');
+    }
+
+    // Logging out of an impersonated session ends the impersonation
+    if (req.impersonation) {
+      await req.impersonation.end(req.impersonation.admin);
+    }
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    logger.error(`Logout error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user from all devices
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { tokensRevokedAt: Date.now() });
+    await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+    logger.info(`User logged out from all devices: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out from all devices',
+    });
+  } catch (error) {
+    logger.error(`Logout all error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    const currentSessionId = req.authSession ? req.authSession.id : null;
+
+    const data = sessions
+      .filter(session => !session.isIdle())
+      .map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session.id === currentSessionId,
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    logger.error(`Get sessions error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a session (log out a device)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id });
+
+    if (!session || session.revokedAt) {
+      return next(new AppError('Session not found', 404));
+    }
+
+    await session.revoke('revoked_by_user');
+
+    logger.info(`Session ${session._id} revoked by user: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    logger.error(`Revoke session error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get login history for the current user
+ * @route   GET /api/auth/login-history
+ * @access  Private
+ */
+exports.getLoginHistory = async (req, res, next) => {
+  try {
+    const filter = { user: req.user.id };
+
+    if (req.query.success !== undefined) {
+      filter.success = req.query.success === 'true';
+    }
+    if (req.query.method) {
+      filter.method = req.query.method;
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const history = await LoginHistory.find(filter)
+      .select('-user -__v')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await LoginHistory.countDocuments(filter);
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      total,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+      data: history,
+    });
+  } catch (error) {
+    logger.error(`Get login history error: ${error.message}`);
+    next(error);
+  }
 };
 
 /**
@@ -260,12 +880,18 @@ exports.forgotPassword = async (req, res, next) => {
     const resetToken = user.createPasswordResetToken();
     await user.save({ validateBeforeSave: false });
 
-    // Create reset URL
-    const resetUrl = `${req.protocol}://${req.get('host')}/auth/reset-password/${resetToken}`;
+    const resetUrl = `${FRONTEND_URL}/auth/reset-password/${resetToken}`;
 
-    // In a real application, you would send an email with the reset URL
-    // For this example, we'll just log it
-    logger.info(`Password reset URL for ${email}: ${resetUrl}`);
+    try {
+      await sendPasswordResetEmail(user.email, user.name, resetUrl);
+      logger.info(`Password reset email sent to: ${email}`);
+    } catch (mailError) {
+      // Don't leave a usable token behind if the email never went out
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      logger.error(`Password reset email error for ${email}: ${mailError.message}`);
+    }
 
     res.status(200).json({
       success: true,
@@ -285,39 +911,37 @@ exports.forgotPassword = async (req, res, next) => {
 exports.resetPassword = async (req, res, next) => {
   try {
     const { password } = req.body;
-    const { token } = req.params;
+
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
 
     // Find user by reset token
     const user = await User.findOne({
-      resetPasswordToken: token,
-      resetPasswordExpire: { $gt: Date.now() },
-    });
+      passwordResetToken: hashedToken,
+      passwordResetExpires: { $gt: Date.now() },
+    }).select('+password +passwordHistory');
 
     if (!user) {
       return next(new AppError('Invalid or expired token', 400));
     }
 
-    // Update password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
+    // Sets passwordChangedAt, which makes `protect` reject every access token issued before now
+    const passwordErrors = await setPassword(user, password);
+    if (passwordErrors.length) {
+      return next(new AppError(passwordErrors.join('. '), 400));
+    }
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
     await user.save();
 
-    // Generate new JWT token
-    const jwtToken = generateToken(user._id);
+    // End every existing session and lift any login lockout
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await LoginThrottle.clear(user.email);
 
     logger.info(`Password reset successful for user: ${user.email}`);
 
     res.status(200).json({
       success: true,
-      token: jwtToken,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
+      message: 'Password has been reset. Please log in with your new password',
     });
   } catch (error) {
     logger.error(`Reset password error: ${error.message}`);
@@ -325,6 +949,46 @@ exports.resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Replace an expired password using the token handed out at login
+ * @route   POST /api/auth/password-expired
+ * @access  Public
+ */
+exports.changeExpiredPassword = async (req, res, next) => {
+  try {
+    const { passwordChangeToken, newPassword } = req.body;
+
+    if (!passwordChangeToken || !newPassword) {
+      return next(new AppError('Please provide the password change token and a new password', 400));
+    }
+
+    const decoded = verifyPurposeToken(passwordChangeToken, 'password-expired');
+    const user = decoded ? await User.findById(decoded.id).select('+password +passwordHistory') : null;
+    if (!user || !isPasswordExpired(user)) {
+      return next(new AppError('Password change link expired. Please log in again', 401));
+    }
+
+    const passwordErrors = await setPassword(user, newPassword);
+    if (passwordErrors.length) {
+      return next(new AppError(passwordErrors.join('. '), 400));
+    }
+    await user.save();
+
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    logger.info(`Expired password replaced for user: ${user.email}`);
+
+    // Log in again, going through 2FA if the account has it
+    res.status(200).json({
+      success: true,
+      message: 'Password updated. Please log in with your new password',
+    });
+  } catch (error) {
+    logger.error(`Expired password change error: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * @desc    Change password
  * @route   POST /api/auth/change-password
@@ -335,29 +999,37 @@ exports.changePassword = async (req, res, next) => {
     const { currentPassword, newPassword } = req.body;
 
     // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
     if (!user) {
       return next(new AppError('User not found', 404));
     }
 
     // Check if current password is correct
-    const isPasswordMatch = await bcrypt.compare(currentPassword, user.password);
+    const isPasswordMatch = await verifyPassword(user, currentPassword);
 
     if (!isPasswordMatch) {
       return next(new AppError('Current password is incorrect', 401));
     }
 
-    // Update password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
+    const passwordErrors = await setPassword(user, newPassword);
+    if (passwordErrors.length) {
+      return next(new AppError(passwordErrors.join('. '), 400));
+    }
     await user.save();
 
+    // Older access tokens are rejected by `protect` via passwordChangedAt;
+    // end all sessions and start a fresh one for this client
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    const { token, refreshToken } = await issueAuthTokens(user, { req });
+
     logger.info(`Password changed for user: ${user.email}`);
 
     res.status(200).json({
       success: true,
       message: 'Password updated successfully',
+      token,
+      refreshToken,
     });
   } catch (error) {
     logger.error(`Change password error: ${error.message}`);
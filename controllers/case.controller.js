@@ -1,10 +1,102 @@
+const mongoose = require("mongoose")
 const Case = require("../models/case.model")
 const Document = require("../models/document.model")
 const Event = require("../models/event.model")
+const CaseHistory = require("../models/caseHistory.model")
+const Hearing = require("../models/hearing.model")
+const ConflictCheck = require("../models/conflictCheck.model")
+const CaseTemplate = require("../models/caseTemplate.model")
+const CaseInvitation = require("../models/caseInvitation.model")
+const User = require("../models/user.model")
 const AppError = require("../utils/appError")
 const logger = require("../utils/logger")
-const mongoose = require("mongoose")
+const { subjectsFromCase, recordConflictCheck, checkCovers } = require("../utils/conflictCheck")
+const { identifyCase, parseCnr, parseCaseNumber, looseNumberPattern } = require("../utils/caseNumber")
+const { applyTemplate, createTemplateEvents, getChecklistStatus } = require("../utils/caseTemplates")
+const { checkTransition } = require("../utils/caseWorkflow")
+const { PARENT_LINK_FOR_CASE_TYPE, REQUIRE_PARENT_CASE, validateLink, getRelatedCases, suggestParentCases } = require("../utils/caseLinks")
+const { TIMELINE_TYPES, TRACKED_FIELDS, isEqual, recordCaseCreated, recordCaseChanges, getCaseTimeline } = require("../utils/caseHistory")
 const { uploadFile, getSignedUrl } = require("../utils/firebaseStorage")
+const { isVerificationRequired } = require("../config/verificationPolicy")
+const { getFirmId } = require("../utils/firmAccess")
+const { can, caseMembershipFilter, readableCaseFilter } = require("../utils/policy")
+
+// Returns the names of linked lawyer accounts that the verification policy
+// does not allow on a case team yet
+const findUnverifiedTeamMembers = async (lawyers = []) => {
+  const userIds = lawyers.map(lawyer => lawyer.user).filter(Boolean)
+  if (userIds.length === 0) return []
+
+  const users = await User.find({ _id: { $in: userIds }, isEmailVerified: false }).select("name role")
+  return users
+    .filter(user => isVerificationRequired("joinCaseTeam", user.role))
+    .map(user => user.name)
+}
+
+// Cases the user can already see that look like the same matter: the same
+// CNR, or the same number (however it was typed) in the same court
+const findDuplicateCases = async (userId, identifiers, caseData) => {
+  const { cnrNumber, caseNumberParts, filingNumberParts } = identifiers
+  const court = {
+    courtType: caseData.courtType || Case.schema.path("courtType").defaultValue,
+    district: caseData.district || Case.schema.path("district").defaultValue,
+  }
+
+  const conditions = []
+  if (cnrNumber) {
+    conditions.push({ cnrNumber })
+  }
+  if (caseNumberParts) {
+    conditions.push({ "caseNumberParts.normalized": caseNumberParts.normalized, ...court })
+    // Cases saved before numbers were parsed
+    conditions.push({ caseNumberParts: null, caseNumber: looseNumberPattern(caseNumberParts), ...court })
+  }
+  if (filingNumberParts) {
+    conditions.push({ "filingNumberParts.normalized": filingNumberParts.normalized, ...court })
+  }
+  if (conditions.length === 0) return []
+
+  const matches = await Case.find({ $and: [await readableCaseFilter(userId), { $or: conditions }] })
+    .select("title caseNumber filingNumber cnrNumber courtType court status caseNumberParts filingNumberParts")
+    .limit(10)
+    .lean()
+
+  return matches.map(match => {
+    let matchedOn = "case_number"
+    if (cnrNumber && match.cnrNumber === cnrNumber) {
+      matchedOn = "cnr"
+    } else if (filingNumberParts && match.filingNumberParts?.normalized === filingNumberParts.normalized) {
+      matchedOn = "filing_number"
+    }
+    return {
+      id: match._id,
+      title: match.title,
+      caseNumber: match.caseNumber,
+      filingNumber: match.filingNumber,
+      cnrNumber: match.cnrNumber,
+      court: match.court,
+      status: match.status,
+      matchedOn,
+    }
+  })
+}
+
+// Check the links a new case is being created with, in order; returns why
+// one is not allowed, or null once caseData.links is ready to save
+const prepareNewCaseLinks = async (user, caseData) => {
+  const accepted = []
+  for (const link of caseData.links || []) {
+    const target = await Case.findById(link.case)
+    if (!target || !(await can(user, "read", "case", target))) {
+      return `Linked case ${link.case} not found`
+    }
+    const problem = await validateLink({ _id: caseData._id, links: accepted }, target, link.type)
+    if (problem) return problem
+    accepted.push({ ...link, addedBy: user.id, addedAt: new Date() })
+  }
+  caseData.links = accepted
+  return null
+}
 
 /**
  * @desc    Get all cases or filtered cases
@@ -16,16 +108,8 @@ exports.getCases = async (req, res, next) => {
     const { search, status, type, district, date } = req.query
     const filter = {}
 
-    const userId = req.user.id;
-    
-    // Base filter for user access - user can only see cases they're involved with
-    const userAccessFilter = {
-      $or: [
-        { creator: userId },
-        { lawyer: userId },
-        { client: userId }
-      ]
-    }
+    // Base filter for user access - user can only see cases they may read
+    const userAccessFilter = await readableCaseFilter(req.user._id)
 
     // Additional filters
     const additionalFilters = {}
@@ -36,6 +120,19 @@ exports.getCases = async (req, res, next) => {
         { caseNumber: { $regex: search, $options: "i" } },
         { court: { $regex: search, $options: "i" } },
       ]
+
+      // Match case numbers and CNRs however they were typed
+      const { cnr } = parseCnr(search)
+      if (cnr) {
+        additionalFilters.$or.push({ cnrNumber: cnr })
+      }
+      const { parts } = parseCaseNumber(search, null, { requireCode: false })
+      if (parts) {
+        additionalFilters.$or.push(
+          { "caseNumberParts.normalized": parts.normalized },
+          { "filingNumberParts.normalized": parts.normalized }
+        )
+      }
     }
 
     if (status) additionalFilters.status = status
@@ -115,19 +212,10 @@ exports.getCase = async (req, res, next) => {
       return next(new AppError("Case not found", 404))
     }
 
-    // Check authorization: User must be the assigned lawyer or client
-    const userIdStr = req.user.id.toString();
-    const caseLawyerIdStr = caseItem.lawyer?._id?.toString();
-    const caseClientIdStr = caseItem.client?._id?.toString();
-
-    if (!(caseLawyerIdStr === userIdStr || caseClientIdStr === userIdStr)) {
-      // If the user is neither the lawyer nor the client associated with the case
-      return next(new AppError("Not authorized to access this case", 403));
-    }
-
     res.status(200).json({
       success: true,
       data: caseItem,
+      related: await getRelatedCases(caseItem, req.user._id),
     })
   } catch (error) {
     logger.error(`Error getting case: ${error.message}`)
@@ -142,13 +230,16 @@ exports.getCase = async (req, res, next) => {
  */
 const { createCaseSchema, updateCaseSchema } = require('../utils/validation');
 
+// When set, every new case with named parties goes through a conflict check
+const CONFLICT_CHECK_REQUIRED = process.env.CONFLICT_CHECK_REQUIRED === 'true';
+
 exports.createCase = async (req, res, next) => {
   try {
     // Validate request body against new schema
     const { error } = createCaseSchema.validate(req.body);
     if (error) return next(new AppError(error.details[0].message, 400));
 
-    const { parties = {}, advocates = [], clients = [], stakeholders = [], lawyers = [], ...otherFields } = req.body;
+    const { parties = {}, advocates = [], clients = [], stakeholders = [], lawyers = [], runConflictCheck, conflictCheckId, ignoreDuplicates, templateId, applyTemplate: useTemplate, ...otherFields } = req.body;
     
     // Debug log the incoming lawyers data
     console.log('Incoming lawyers data:', JSON.stringify(lawyers, null, 2));
@@ -189,6 +280,7 @@ exports.createCase = async (req, res, next) => {
       } else {
         // Ensure all provided lawyers have required fields
         caseData.lawyers = caseData.lawyers.map(lawyer => ({
+          user: lawyer.user || undefined,
           name: lawyer.name || '',
           email: lawyer.email || '',
           contact: lawyer.contact || '',
@@ -259,14 +351,125 @@ exports.createCase = async (req, res, next) => {
       }
     }
 
-    // Prevent duplicate case numbers
-    const existing = await Case.findOne({ caseNumber: caseData.caseNumber });
-    if (existing) {
-      return next(new AppError("A case with this case number already exists.", 409));
+    // Cases opened by firm members belong to the firm
+    const creatorFirmId = await getFirmId(req.user.id);
+    if (creatorFirmId) {
+      caseData.firm = creatorFirmId;
+    }
+
+    // Linked lawyer accounts must satisfy the email verification policy
+    const unverifiedLawyers = await findUnverifiedTeamMembers(caseData.lawyers);
+    if (unverifiedLawyers.length > 0) {
+      return next(new AppError(`These lawyers must verify their email before joining a case: ${unverifiedLawyers.join(', ')}`, 400));
+    }
+
+    // Start from the firm's template for this kind of case
+    let template = null;
+    if (templateId) {
+      template = await CaseTemplate.findCurrent(templateId);
+      if (!template || template.archivedAt || !creatorFirmId || !template.firm.equals(creatorFirmId)) {
+        return next(new AppError('Case template not found', 404));
+      }
+      if (template.caseType !== caseData.caseType) {
+        return next(new AppError(`This template is for ${template.caseType} cases`, 400));
+      }
+    } else if (useTemplate !== false && creatorFirmId) {
+      template = await CaseTemplate.findForCaseType(creatorFirmId, caseData.caseType);
+    }
+    if (template) {
+      applyTemplate(template, caseData);
+    }
+
+    // Opening a case as closed passes the same checks as closing it
+    if (caseData.status === 'closed') {
+      const { errors } = await checkTransition({ ...caseData, status: 'active' }, { status: 'closed', outcome: caseData.outcome });
+      if (errors.length > 0) {
+        return next(new AppError(errors.join('; '), 400));
+      }
+      caseData.closedAt = Date.now();
+    } else if (caseData.outcome) {
+      return next(new AppError('Only a closed case can have an outcome', 400));
+    }
+
+    // Case number, filing number and CNR must match the court's formats
+    const identity = identifyCase(caseData);
+    if (identity.errors.length > 0) {
+      return next(new AppError(identity.errors.join('; '), 400));
+    }
+    Object.assign(caseData, identity.values);
+
+    // A matching CNR is the same case; a matching number is only likely to be
+    const duplicates = await findDuplicateCases(req.user._id, identity.values, caseData);
+    const sameCnr = duplicates.find(duplicate => duplicate.matchedOn === 'cnr');
+    if (sameCnr) {
+      return next(new AppError(`A case with this CNR already exists: ${sameCnr.title} (${sameCnr.caseNumber})`, 409));
+    }
+    if (duplicates.length > 0 && !ignoreDuplicates) {
+      return res.status(409).json({
+        success: false,
+        message: 'This looks like a case that already exists. Set ignoreDuplicates to create it anyway',
+        duplicates,
+      });
+    }
+
+    // Conflict-of-interest intake: either open the case on an earlier check,
+    // or run one now and stop if it finds anything
+    const subjects = subjectsFromCase(caseData);
+    let conflictCheck = null;
+    if (conflictCheckId) {
+      conflictCheck = await ConflictCheck.findOne({ _id: conflictCheckId, performedBy: req.user.id });
+      if (!conflictCheck || !conflictCheck.allowsIntake()) {
+        return next(new AppError("Conflict check not found, unresolved or already used for another case", 400));
+      }
+      if (!checkCovers(conflictCheck, subjects)) {
+        return next(new AppError("The parties have changed since the conflict check. Please run it again", 400));
+      }
+    } else if ((runConflictCheck || CONFLICT_CHECK_REQUIRED) && subjects.length) {
+      conflictCheck = await recordConflictCheck(req.user, subjects);
+      if (conflictCheck.status === "conflicts") {
+        logger.warn(`Case intake blocked by conflict check ${conflictCheck._id} for user ${req.user.id}`);
+        return res.status(409).json({
+          success: false,
+          message: "Possible conflicts of interest found. Review them, and override with a justification to proceed",
+          conflictCheck: {
+            id: conflictCheck._id,
+            status: conflictCheck.status,
+            hits: conflictCheck.hits,
+          },
+        });
+      }
+    }
+    if (conflictCheck) {
+      caseData.conflictCheck = conflictCheck._id;
+    }
+
+    // Appeals, revisions and execution petitions continue an earlier case
+    caseData._id = new mongoose.Types.ObjectId();
+    const linkProblem = await prepareNewCaseLinks(req.user, caseData);
+    if (linkProblem) {
+      return next(new AppError(linkProblem, 400));
+    }
+    const parentLinkType = PARENT_LINK_FOR_CASE_TYPE[caseData.caseType];
+    let suggestedParents;
+    if (parentLinkType && !caseData.links.some(link => link.type === parentLinkType)) {
+      if (REQUIRE_PARENT_CASE) {
+        return next(new AppError(`A ${caseData.caseType} case must be linked to the case it continues (links: [{ case, type: "${parentLinkType}" }])`, 400));
+      }
+      suggestedParents = await suggestParentCases(caseData, req.user._id);
     }
 
     const newCase = await Case.create(caseData);
+    if (conflictCheck) {
+      conflictCheck.case = newCase._id;
+      await conflictCheck.save();
+    }
     logger.info(`New case created: ${newCase.title} (ID: ${newCase._id})`);
+    await recordCaseCreated(newCase, req.user);
+
+    let templateEvents;
+    if (template) {
+      templateEvents = await createTemplateEvents(template, newCase, req.user.id);
+    }
 
     // Notify all lawyers and clients (except creator)
     const Notification = require('../models/notification.model');
@@ -342,7 +545,18 @@ exports.createCase = async (req, res, next) => {
 
     res.status(201).json({
       status: 'success',
-      data: { case: newCase }
+      data: {
+        case: newCase,
+        ...(suggestedParents && { suggestedParents }),
+        ...(templateEvents && {
+          template: {
+            key: template.key,
+            version: template.version,
+            events: templateEvents.created,
+            skippedEvents: templateEvents.skipped,
+          },
+        }),
+      }
     });
   } catch (error) {
     if (error.code === 11000 && error.keyPattern && error.keyPattern.caseNumber) {
@@ -390,98 +604,108 @@ exports.updateCase = async (req, res, next) => {
     if (validationError) return next(new AppError(validationError.details[0].message, 400));
 
     const caseId = req.params.id;
-    const caseToUpdate = await Case.findById(caseId);
-
-    if (!caseToUpdate) {
-      return next(new AppError("Case not found", 404));
-    }
-
-    // Allow update if user is assigned lawyer or client
-    if (
-      (caseToUpdate.lawyer && caseToUpdate.lawyer.toString() === req.user.id) ||
-      (caseToUpdate.client && caseToUpdate.client.toString() === req.user.id) ||
-      (req.user.role === 'lawyer' && !caseToUpdate.lawyer) || // Allow lawyer to assign themselves if not already assigned
-      (req.user.role === 'client' && !caseToUpdate.client)  // Allow client to assign themselves if not already assigned
-    ) {
-      // Prepare update data, ensuring we handle clients, advocates, lawyers, and stakeholders correctly
-      const { parties, clients, advocates, stakeholders, lawyers, ...otherUpdateData } = req.body;
-      const updatePayload = {
-        ...otherUpdateData,
-      };
+    // Loaded and authorized by checkPermission("case", "edit")
+    const caseToUpdate = req.resource;
+
+    // Stage and status only change through the workflow
+    const workflowFields = ["caseStage", "status"]
+      .filter(field => req.body[field] && req.body[field] !== caseToUpdate[field])
+    if (workflowFields.length > 0) {
+      return next(new AppError(`${workflowFields.join(" and ")} can only be changed through POST /api/cases/${caseId}/transition`, 400))
+    }
 
-      // Handle lawyers - update lawyers array if provided
-      if (lawyers !== undefined) {
-        let updatedLawyers = Array.isArray(lawyers) ? [...lawyers] : [];
-        if (updatedLawyers.length > 0) {
-          // Ensure all lawyers have the required addedBy field
-          updatedLawyers = updatedLawyers.map(lawyer => ({
-            ...lawyer,
-            addedBy: lawyer.addedBy || req.user.id,
-            addedAt: lawyer.addedAt || new Date()
-          }));
-          
-          // Set primary lawyer if indicated, else first
-          const primaryLawyer = updatedLawyers.find(lawyer => lawyer.isPrimary);
-          if (!primaryLawyer) {
-            updatedLawyers[0].isPrimary = true;
-          }
-          updatePayload.lawyer = (updatedLawyers.find(lawyer => lawyer.isPrimary) || updatedLawyers[0]).user;
-        }
-        updatePayload.lawyers = updatedLawyers;
-      }
-      // Handle clients if provided
-      if (clients !== undefined) {
-        let updatedClients = Array.isArray(clients) ? [...clients] : [];
-        if (updatedClients.length > 0) {
-          // Set primary client if indicated, else first
-          const primaryClient = updatedClients.find(client => client.isPrimary);
-          if (!primaryClient) {
-            updatedClients[0].isPrimary = true;
-          }
-          updatePayload.client = (updatedClients.find(client => client.isPrimary) || updatedClients[0]).user;
-        }
-        updatePayload.clients = updatedClients;
+    // Changed identifiers must still match the court's formats
+    const identifiersChanged = ["caseNumber", "filingNumber", "cnrNumber", "courtType"]
+      .some(field => req.body[field] !== undefined && String(req.body[field] ?? "") !== String(caseToUpdate[field] ?? ""))
+    if (identifiersChanged) {
+      const { errors } = identifyCase({ ...caseToUpdate.toObject(), ...req.body });
+      if (errors.length > 0) {
+        return next(new AppError(errors.join("; "), 400));
       }
+    }
+
+    // Prepare update data, ensuring we handle clients, advocates, lawyers, and stakeholders correctly
+    const { parties, clients, advocates, stakeholders, lawyers, ...otherUpdateData } = req.body;
+    const updatePayload = {
+      ...otherUpdateData,
+    };
 
-      // Handle advocates if provided
-      if (advocates !== undefined) {
-        updatePayload.advocates = Array.isArray(advocates) ? advocates : [];
+    // Handle lawyers - update lawyers array if provided
+    if (lawyers !== undefined) {
+      let updatedLawyers = Array.isArray(lawyers) ? [...lawyers] : [];
+      if (updatedLawyers.length > 0) {
+        // Ensure all lawyers have the required addedBy field
+        updatedLawyers = updatedLawyers.map(lawyer => ({
+          ...lawyer,
+          addedBy: lawyer.addedBy || req.user.id,
+          addedAt: lawyer.addedAt || new Date()
+        }));
+        
+        // Set primary lawyer if indicated, else first
+        const primaryLawyer = updatedLawyers.find(lawyer => lawyer.isPrimary);
+        if (!primaryLawyer) {
+          updatedLawyers[0].isPrimary = true;
+        }
+        updatePayload.lawyer = (updatedLawyers.find(lawyer => lawyer.isPrimary) || updatedLawyers[0]).user;
       }
 
-      // Handle stakeholders if provided
-      if (stakeholders !== undefined) {
-        updatePayload.stakeholders = Array.isArray(stakeholders) ? stakeholders : [];
+      const unverifiedLawyers = await findUnverifiedTeamMembers(updatedLawyers);
+      if (unverifiedLawyers.length > 0) {
+        return next(new AppError(`These lawyers must verify their email before joining a case: ${unverifiedLawyers.join(', ')}`, 400));
       }
-      
-      // Handle parties robustly
-      let newParties;
-      if (parties) {
-        newParties = {
-          petitioner: Array.isArray(parties.petitioner) ? parties.petitioner : [],
-          respondent: Array.isArray(parties.respondent) ? parties.respondent : []
-        };
-      } else {
-        // Use existing case's parties, but ensure structure
-        const existingParties = caseToUpdate.parties || {};
-        newParties = {
-          petitioner: Array.isArray(existingParties.petitioner) ? existingParties.petitioner : [],
-          respondent: Array.isArray(existingParties.respondent) ? existingParties.respondent : []
-        };
+      updatePayload.lawyers = updatedLawyers;
+    }
+    // Handle clients if provided
+    if (clients !== undefined) {
+      let updatedClients = Array.isArray(clients) ? [...clients] : [];
+      if (updatedClients.length > 0) {
+        // Set primary client if indicated, else first
+        const primaryClient = updatedClients.find(client => client.isPrimary);
+        if (!primaryClient) {
+          updatedClients[0].isPrimary = true;
+        }
+        updatePayload.client = (updatedClients.find(client => client.isPrimary) || updatedClients[0]).user;
       }
-      updatePayload.parties = newParties;
+      updatePayload.clients = updatedClients;
+    }
 
-      const updatedCase = await Case.findByIdAndUpdate(caseId, updatePayload, {
-        new: true,
-        runValidators: true,
-      })
-      logger.info(`Case updated: ${updatedCase.title} (ID: ${updatedCase._id})`)
-      return res.status(200).json({
-        success: true,
-        data: updatedCase,
-      })
+    // Handle advocates if provided
+    if (advocates !== undefined) {
+      updatePayload.advocates = Array.isArray(advocates) ? advocates : [];
+    }
+
+    // Handle stakeholders if provided
+    if (stakeholders !== undefined) {
+      updatePayload.stakeholders = Array.isArray(stakeholders) ? stakeholders : [];
+    }
+    
+    // Handle parties robustly
+    let newParties;
+    if (parties) {
+      newParties = {
+        petitioner: Array.isArray(parties.petitioner) ? parties.petitioner : [],
+        respondent: Array.isArray(parties.respondent) ? parties.respondent : []
+      };
     } else {
-      return next(new AppError("Not authorized to update this case", 403))
+      // Use existing case's parties, but ensure structure
+      const existingParties = caseToUpdate.parties || {};
+      newParties = {
+        petitioner: Array.isArray(existingParties.petitioner) ? existingParties.petitioner : [],
+        respondent: Array.isArray(existingParties.respondent) ? existingParties.respondent : []
+      };
     }
+    updatePayload.parties = newParties;
+
+    const updatedCase = await Case.findByIdAndUpdate(caseId, updatePayload, {
+      new: true,
+      runValidators: true,
+    })
+    await recordCaseChanges(caseToUpdate, updatedCase, req.user)
+    logger.info(`Case updated: ${updatedCase.title} (ID: ${updatedCase._id})`)
+    return res.status(200).json({
+      success: true,
+      data: updatedCase,
+    })
   } catch (error) {
     logger.error(`Error updating case: ${error.message}`)
     next(error)
@@ -496,20 +720,8 @@ exports.updateCase = async (req, res, next) => {
 exports.deleteCase = async (req, res, next) => {
   try {
     const caseId = req.params.id
-    const caseToDelete = await Case.findById(caseId)
-
-    if (!caseToDelete) {
-      return next(new AppError("Case not found", 404))
-    }
-
-    // Check if user is authorized to delete this case
-    // Only the primary lawyer or primary client can delete the case
-    const isPrimaryLawyer = caseToDelete.lawyer && caseToDelete.lawyer.toString() === req.user.id;
-    const isPrimaryClient = caseToDelete.client && caseToDelete.client.toString() === req.user.id;
-
-    if (!isPrimaryLawyer && !isPrimaryClient) {
-      return next(new AppError("Not authorized to delete this case. Only the primary lawyer or primary client can delete it.", 403))
-    }
+    // Loaded and authorized by checkPermission("case", "delete")
+    const caseToDelete = req.resource
 
     // Delete associated documents
     await Document.deleteMany({ case: caseId })
@@ -517,6 +729,14 @@ exports.deleteCase = async (req, res, next) => {
     // Delete associated events
     await Event.deleteMany({ case: caseId })
 
+    // Delete its change history, hearing register and invitations
+    await CaseHistory.deleteMany({ case: caseId })
+    await Hearing.deleteMany({ case: caseId })
+    await CaseInvitation.deleteMany({ case: caseId })
+
+    // Drop links other cases hold to it
+    await Case.updateMany({ "links.case": caseId }, { $pull: { links: { case: caseId } } })
+
     // Delete the case
     await Case.findByIdAndDelete(caseId)
     
@@ -542,17 +762,13 @@ exports.addClientToCase = async (req, res, next) => {
     const { id } = req.params
     const { clientId } = req.body
 
-    const caseItem = await Case.findById(id)
-    if (!caseItem) {
-      return next(new AppError("Case not found", 404))
-    }
-
-    if (req.user.role === "lawyer" && caseItem.lawyer && caseItem.lawyer.toString() !== req.user.id.toString()) {
-      return next(new AppError("Not authorized to modify this case", 403))
-    }
+    // Loaded and authorized by checkPermission("case", "edit")
+    const caseItem = req.resource
 
+    const previousClient = caseItem.client
     caseItem.client = clientId
     await caseItem.save()
+    await recordCaseChanges({ client: previousClient }, caseItem, req.user, { fields: ["client"] })
 
     logger.info(`Client added to case: Case ID ${id}, Client ID ${clientId}`)
 
@@ -566,6 +782,77 @@ exports.addClientToCase = async (req, res, next) => {
   }
 }
 
+/**
+ * @desc    Grant a user view or edit access to a case
+ * @route   POST /api/cases/:id/access
+ * @access  Private (Primary lawyer and firm partners)
+ */
+exports.grantCaseAccess = async (req, res, next) => {
+  try {
+    const { userId, permission = "view" } = req.body
+
+    if (!["view", "edit"].includes(permission)) {
+      return next(new AppError("Permission must be view or edit", 400))
+    }
+
+    const user = await User.findById(userId)
+    if (!user) {
+      return next(new AppError("User not found", 404))
+    }
+
+    // Loaded and authorized by checkPermission("case", "share")
+    const caseItem = req.resource
+    const existing = caseItem.accessibleTo.find(grant => grant.user.toString() === user._id.toString())
+    if (existing) {
+      existing.permission = permission
+      existing.grantedBy = req.user.id
+      existing.grantedAt = Date.now()
+    } else {
+      caseItem.accessibleTo.push({ user: user._id, permission, grantedBy: req.user.id })
+    }
+    await caseItem.save()
+
+    logger.info(`Case access granted: Case ID ${caseItem._id}, User ID ${user._id} (${permission}) by ${req.user.id}`)
+
+    res.status(200).json({
+      success: true,
+      data: caseItem.accessibleTo,
+    })
+  } catch (error) {
+    logger.error(`Error granting case access: ${error.message}`)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Remove a user's explicit access to a case
+ * @route   DELETE /api/cases/:id/access/:userId
+ * @access  Private (Primary lawyer and firm partners)
+ */
+exports.revokeCaseAccess = async (req, res, next) => {
+  try {
+    // Loaded and authorized by checkPermission("case", "share")
+    const caseItem = req.resource
+    const before = caseItem.accessibleTo.length
+    caseItem.accessibleTo = caseItem.accessibleTo.filter(grant => grant.user.toString() !== req.params.userId)
+
+    if (caseItem.accessibleTo.length === before) {
+      return next(new AppError("User has no explicit access to this case", 404))
+    }
+    await caseItem.save()
+
+    logger.info(`Case access revoked: Case ID ${caseItem._id}, User ID ${req.params.userId} by ${req.user.id}`)
+
+    res.status(200).json({
+      success: true,
+      data: caseItem.accessibleTo,
+    })
+  } catch (error) {
+    logger.error(`Error revoking case access: ${error.message}`)
+    next(error)
+  }
+}
+
 /**
  * @desc    Get case statistics
  * @route   GET /api/cases/stats
@@ -573,8 +860,7 @@ exports.addClientToCase = async (req, res, next) => {
  */
 exports.getCaseStats = async (req, res, next) => {
   try {
-    const filter =
-      req.user.role === "lawyer" ? { lawyer: req.user.id } : req.user.role === "client" ? { client: req.user.id } : {}
+    const filter = caseMembershipFilter(req.user._id)
 
     const totalCases = await Case.countDocuments(filter)
     const activeCases = await Case.countDocuments({ ...filter, status: "active" })
@@ -618,14 +904,7 @@ exports.getCaseStats = async (req, res, next) => {
  */
 exports.getRecentCases = async (req, res, next) => {
   try {
-    // Build filter based on user role
-    const filter = {}
-
-    if (req.user.role === "lawyer") {
-      filter.lawyer = req.user.id
-    } else if (req.user.role === "client") {
-      filter.client = req.user.id
-    }
+    const filter = caseMembershipFilter(req.user._id)
 
     // Get recent cases
     const recentCases = await Case.find(filter)
@@ -657,22 +936,8 @@ exports.uploadCaseDocuments = async (req, res, next) => {
     }
 
     const caseId = req.params.id;
-
-    // Check if case exists
-    const caseItem = await Case.findById(caseId);
-
-    if (!caseItem) {
-      return next(new AppError('Case not found', 404));
-    }
-
-    // Check if user has permission to add documents to this case
-    if (req.user.role === 'client' && caseItem.client.toString() !== req.user.id.toString()) {
-      return next(new AppError('Not authorized to add documents to this case', 403));
-    }
-
-    if (req.user.role === 'lawyer' && caseItem.lawyer.toString() !== req.user.id.toString()) {
-      return next(new AppError('Not authorized to add documents to this case', 403));
-    }
+    // Loaded and authorized by checkPermission('case', 'upload')
+    const caseItem = req.resource;
 
     const uploadedDocs = [];
 
@@ -697,6 +962,7 @@ exports.uploadCaseDocuments = async (req, res, next) => {
         name: req.body.name || originalName,
         description: req.body.description || `Document for case ${caseItem.title || caseId}`,
         case: caseId,
+        firm: caseItem.firm,
         category: req.body.category || 'Other',
         tags: parsedTags,
         fileType: mimeType,
@@ -737,63 +1003,174 @@ exports.uploadCaseDocuments = async (req, res, next) => {
 };
 
 /**
- * @desc    Get case timeline
- * @route   GET /api/cases/:id/timeline
+ * @desc    Get case timeline: events, hearings, documents and recorded changes
+ * @route   GET /api/cases/:id/timeline?types=stage,document&page=1&limit=20
  * @access  Private
  */
 exports.getCaseTimeline = async (req, res, next) => {
   try {
-    const { id } = req.params
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+
+    let types = TIMELINE_TYPES
+    if (req.query.types) {
+      types = req.query.types.split(",").map(type => type.trim()).filter(Boolean)
+      const unknown = types.filter(type => !TIMELINE_TYPES.includes(type))
+      if (unknown.length) {
+        return next(new AppError(`Unknown timeline types: ${unknown.join(", ")}. Valid types: ${TIMELINE_TYPES.join(", ")}`, 400))
+      }
+    }
 
-    const caseItem = await Case.findById(id)
+    // Loaded and authorized by checkPermission("case", "read")
+    const { entries, total } = await getCaseTimeline(req.resource, { types, page, limit })
 
-    if (!caseItem) {
-      return next(new AppError("Case not found", 404))
-    }
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries,
+    })
+  } catch (error) {
+    logger.error(`Error getting case timeline: ${error.message}`)
+    next(error)
+  }
+}
 
-    // Check if user has permission to view this case
-    if (req.user.role === "client" && caseItem.client && caseItem.client.toString() !== req.user.id.toString()) {
-      return next(new AppError("Not authorized to access this case", 403))
-    }
-
-    if (req.user.role === "lawyer" && caseItem.lawyer && caseItem.lawyer.toString() !== req.user.id.toString()) {
-      return next(new AppError("Not authorized to access this case", 403))
-    }
-
-    // Get timeline events (from case history, events, documents, etc.)
-    // Note: This is a simplified version, you would normally combine multiple collections
-    const timeline = await Case.aggregate([
-      { $match: { _id: mongoose.Types.ObjectId(id) } },
-      {
-        $project: {
-          _id: 0,
-          events: [
-            {
-              type: "created",
-              title: "Case Created",
-              description: "Case was filed in the system",
-              date: "$createdAt",
-            },
-            {
-              type: "updated",
-              title: "Case Updated",
-              description: "Case details were modified",
-              date: "$updatedAt",
-            },
-          ],
-        },
-      },
-      { $unwind: "$events" },
-      { $sort: { "events.date": -1 } },
+/**
+ * @desc    Get a case's field-level change history
+ * @route   GET /api/cases/:id/history?field=caseStage&category=hearing&page=1&limit=20
+ * @access  Private
+ */
+exports.getCaseHistory = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1)
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100)
+
+    // Loaded and authorized by checkPermission("case", "read")
+    const filter = { case: req.resource._id }
+    if (req.query.field) filter["changes.field"] = req.query.field
+    if (req.query.category) filter.category = req.query.category
+    if (req.query.actor) filter.actor = req.query.actor
+
+    const [history, total] = await Promise.all([
+      CaseHistory.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CaseHistory.countDocuments(filter),
     ])
 
     res.status(200).json({
       success: true,
-      count: timeline.length,
-      data: timeline,
+      count: history.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: history,
     })
   } catch (error) {
-    logger.error(`Error getting case timeline: ${error.message}`)
+    logger.error(`Error getting case history: ${error.message}`)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Revert one field to the value it had before a recorded change
+ * @route   POST /api/cases/:id/history/:historyId/revert
+ * @access  Private (Case editors)
+ */
+exports.revertCaseField = async (req, res, next) => {
+  try {
+    const { field, force } = req.body
+
+    // Loaded and authorized by checkPermission("case", "edit")
+    const caseItem = req.resource
+
+    const history = await CaseHistory.findOne({ _id: req.params.historyId, case: caseItem._id })
+    if (!history) {
+      return next(new AppError("History entry not found", 404))
+    }
+
+    if (history.category === "created") {
+      return next(new AppError("The initial values of a case cannot be reverted", 400))
+    }
+
+    const change = history.changes.find(c => c.field === field)
+    if (!change) {
+      return next(new AppError(`This history entry has no change to ${field}`, 400))
+    }
+
+    if (!TRACKED_FIELDS.includes(field)) {
+      return next(new AppError(`${field} cannot be reverted`, 400))
+    }
+
+    // Restoring old links would skip the cycle checks
+    if (field === "links") {
+      return next(new AppError("Case links cannot be reverted; add or remove them instead", 400))
+    }
+
+    // Nor may a revert skip the stage workflow
+    if (["caseStage", "status", "outcome"].includes(field)) {
+      return next(new AppError(`${field} cannot be reverted; use POST /api/cases/${caseItem._id}/transition`, 400))
+    }
+
+    // Don't silently throw away edits made since, unless asked to
+    if (!force && !isEqual(caseItem[field], change.to)) {
+      return next(new AppError(`${field} has changed since this entry. Send force: true to revert it anyway`, 409))
+    }
+
+    const value = change.from === null ? undefined : change.from
+
+    // Restored team members must still meet the email verification policy
+    if (value && (field === "lawyers" || field === "lawyer")) {
+      const unverifiedLawyers = await findUnverifiedTeamMembers(field === "lawyers" ? value : [{ user: value }])
+      if (unverifiedLawyers.length > 0) {
+        return next(new AppError(`These lawyers must verify their email before joining a case: ${unverifiedLawyers.join(", ")}`, 400))
+      }
+    }
+
+    // A plain update (not $set) so the model's hearing-date hook sees it
+    const update = value === undefined ? { $unset: { [field]: 1 } } : { [field]: value }
+
+    const updatedCase = await Case.findByIdAndUpdate(caseItem._id, update, {
+      new: true,
+      runValidators: true,
+    })
+    await recordCaseChanges(caseItem, updatedCase, req.user, {
+      fields: [field],
+      revertOf: { history: history._id, field },
+    })
+
+    logger.info(`Case field reverted: ${field} on case ${caseItem._id} (history ${history._id}) by ${req.user.id}`)
+
+    res.status(200).json({
+      success: true,
+      data: updatedCase,
+    })
+  } catch (error) {
+    logger.error(`Error reverting case field: ${error.message}`)
+    next(error)
+  }
+}
+
+/**
+ * @desc    Get the case's document checklist and what is still missing
+ * @route   GET /api/cases/:id/checklist
+ * @access  Private
+ */
+exports.getCaseChecklist = async (req, res, next) => {
+  try {
+    // Loaded and authorized by checkPermission("case", "read")
+    const checklist = await getChecklistStatus(req.resource)
+
+    res.status(200).json({
+      success: true,
+      data: checklist,
+    })
+  } catch (error) {
+    logger.error(`Error getting case checklist: ${error.message}`)
     next(error)
   }
 }
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Case = require('../models/case.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { checkAccess } = require('../utils/policy');
+const { recordCaseChanges } = require('../utils/caseHistory');
+const { validateLink, getRelatedCases, getCaseFamily } = require('../utils/caseLinks');
+
+/**
+ * @desc    Get the cases directly linked to a case
+ * @route   GET /api/cases/:id/links
+ * @access  Private
+ */
+exports.getCaseLinks = async (req, res, next) => {
+  try {
+    // Loaded and authorized by checkPermission('case', 'read')
+    const related = await getRelatedCases(req.resource, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      count: related.length,
+      data: related,
+    });
+  } catch (error) {
+    logger.error(`Error getting case links: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Link a case to an earlier or connected case
+ * @route   POST /api/cases/:id/links
+ * @access  Private (Case editors; the linked case must be readable)
+ */
+exports.addCaseLink = async (req, res, next) => {
+  try {
+    const { caseId, type, note } = req.body;
+
+    if (!caseId || !mongoose.Types.ObjectId.isValid(caseId)) {
+      return next(new AppError('Please provide the case to link to', 400));
+    }
+
+    // Loaded and authorized by checkPermission('case', 'edit')
+    const caseItem = req.resource;
+
+    const target = await Case.findById(caseId);
+    if (!target || !(await checkAccess(req, 'read', 'case', target))) {
+      return next(new AppError('Linked case not found', 404));
+    }
+
+    const problem = await validateLink(caseItem, target, type);
+    if (problem) {
+      return next(new AppError(problem, 400));
+    }
+
+    const before = caseItem.toObject();
+    caseItem.links.push({ case: target._id, type, note, addedBy: req.user.id });
+    await caseItem.save();
+    await recordCaseChanges(before, caseItem, req.user);
+
+    logger.info(`Case ${caseItem._id} linked (${type}) to case ${target._id} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: await getRelatedCases(caseItem, req.user._id),
+    });
+  } catch (error) {
+    logger.error(`Error linking cases: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a link from a case
+ * @route   DELETE /api/cases/:id/links/:linkId
+ * @access  Private (Case editors)
+ */
+exports.removeCaseLink = async (req, res, next) => {
+  try {
+    // Loaded and authorized by checkPermission('case', 'edit')
+    const caseItem = req.resource;
+
+    const link = caseItem.links.id(req.params.linkId);
+    if (!link) {
+      return next(new AppError('Link not found on this case', 404));
+    }
+
+    const before = caseItem.toObject();
+    link.deleteOne();
+    await caseItem.save();
+    await recordCaseChanges(before, caseItem, req.user);
+
+    logger.info(`Case link ${req.params.linkId} removed from case ${caseItem._id} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Link removed',
+    });
+  } catch (error) {
+    logger.error(`Error removing case link: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the family tree of linked matters a case belongs to
+ * @route   GET /api/cases/:id/family
+ * @access  Private
+ */
+exports.getCaseFamily = async (req, res, next) => {
+  try {
+    // Loaded and authorized by checkPermission('case', 'read')
+    const family = await getCaseFamily(req.resource, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: family,
+    });
+  } catch (error) {
+    logger.error(`Error getting case family: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const CaseTemplate = require('../models/caseTemplate.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { getFirmMembership } = require('../utils/firmAccess');
+
+// Firm roles that may create and edit templates; every member can use them
+const MANAGER_ROLES = ['partner', 'associate'];
+
+// Load the user's firm membership, or stop with an error
+const requireMembership = async (req, next, { manage = false } = {}) => {
+  const membership = await getFirmMembership(req.user.id);
+  if (!membership) {
+    next(new AppError('Case templates belong to a firm. Join or create a firm first', 403));
+    return null;
+  }
+  if (manage && !MANAGER_ROLES.includes(membership.role)) {
+    next(new AppError('Only firm partners and associates can manage case templates', 403));
+    return null;
+  }
+  return membership;
+};
+
+// Load the current version of the template named by :key in the user's firm
+const findFirmTemplate = async (req, next, firmId) => {
+  const template = mongoose.Types.ObjectId.isValid(req.params.key)
+    ? await CaseTemplate.findOne({ key: req.params.key, firm: firmId, supersededAt: null })
+    : null;
+  if (!template) {
+    next(new AppError('Case template not found', 404));
+    return null;
+  }
+  return template;
+};
+
+const validationMessage = (template) => {
+  const error = template.validateSync();
+  return error ? Object.values(error.errors).map(e => e.message).join('; ') : null;
+};
+
+// Another template already in use for the case type
+const findCompeting = (firmId, caseType, key) => CaseTemplate.findOne({
+  firm: firmId,
+  caseType,
+  supersededAt: null,
+  archivedAt: null,
+  ...(key && { key: { $ne: key } }),
+});
+
+/**
+ * @desc    Get the firm's case templates (current versions)
+ * @route   GET /api/templates
+ * @access  Private (Firm members)
+ */
+exports.getTemplates = async (req, res, next) => {
+  try {
+    const membership = await requireMembership(req, next);
+    if (!membership) return;
+
+    const filter = { firm: membership.firm._id, supersededAt: null };
+    if (req.query.caseType) filter.caseType = req.query.caseType;
+    if (req.query.archived !== 'true') filter.archivedAt = null;
+
+    const templates = await CaseTemplate.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ caseType: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      data: templates,
+    });
+  } catch (error) {
+    logger.error(`Error getting case templates: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a case template
+ * @route   POST /api/templates
+ * @access  Private (Firm partners and associates)
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    const membership = await requireMembership(req, next, { manage: true });
+    if (!membership) return;
+
+    const id = new mongoose.Types.ObjectId();
+    const template = new CaseTemplate({
+      ...CaseTemplate.pickContent(req.body),
+      _id: id,
+      key: id,
+      version: 1,
+      firm: membership.firm._id,
+      createdBy: req.user.id,
+    });
+
+    const problem = validationMessage(template);
+    if (problem) {
+      return next(new AppError(problem, 400));
+    }
+
+    if (await findCompeting(membership.firm._id, template.caseType)) {
+      return next(new AppError(`Your firm already has a template for ${template.caseType} cases. Edit or archive it first`, 409));
+    }
+
+    await template.save();
+
+    logger.info(`Case template created: ${template.name} (${template.caseType}, ID: ${template.key}) by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error(`Error creating case template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current version of a case template
+ * @route   GET /api/templates/:key
+ * @access  Private (Firm members)
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const membership = await requireMembership(req, next);
+    if (!membership) return;
+
+    const template = await findFirmTemplate(req, next, membership.firm._id);
+    if (!template) return;
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error(`Error getting case template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Save changes to a case template as a new version
+ * @route   PUT /api/templates/:key
+ * @access  Private (Firm partners and associates)
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    const membership = await requireMembership(req, next, { manage: true });
+    if (!membership) return;
+
+    const current = await findFirmTemplate(req, next, membership.firm._id);
+    if (!current) return;
+
+    if (current.archivedAt) {
+      return next(new AppError('This template is archived. Restore it before editing', 400));
+    }
+
+    const revised = new CaseTemplate({
+      ...current.toContent(),
+      ...CaseTemplate.pickContent(req.body),
+      key: current.key,
+      version: current.version + 1,
+      firm: current.firm,
+      createdBy: req.user.id,
+    });
+
+    const problem = validationMessage(revised);
+    if (problem) {
+      return next(new AppError(problem, 400));
+    }
+
+    if (revised.caseType !== current.caseType && await findCompeting(current.firm, revised.caseType, current.key)) {
+      return next(new AppError(`Your firm already has a template for ${revised.caseType} cases`, 409));
+    }
+
+    // The new version is saved first so the template always has a current one
+    await revised.save();
+    current.supersededAt = Date.now();
+    await current.save();
+
+    logger.info(`Case template ${current.key} updated to version ${revised.version} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: revised,
+    });
+  } catch (error) {
+    logger.error(`Error updating case template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get every version of a case template, newest first
+ * @route   GET /api/templates/:key/versions
+ * @access  Private (Firm members)
+ */
+exports.getTemplateVersions = async (req, res, next) => {
+  try {
+    const membership = await requireMembership(req, next);
+    if (!membership) return;
+
+    const current = await findFirmTemplate(req, next, membership.firm._id);
+    if (!current) return;
+
+    const versions = await CaseTemplate.find({ key: current.key })
+      .populate('createdBy', 'name email')
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions,
+    });
+  } catch (error) {
+    logger.error(`Error getting case template versions: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Archive a case template so new cases no longer use it
+ * @route   DELETE /api/templates/:key
+ * @access  Private (Firm partners and associates)
+ */
+exports.archiveTemplate = async (req, res, next) => {
+  try {
+    const membership = await requireMembership(req, next, { manage: true });
+    if (!membership) return;
+
+    const template = await findFirmTemplate(req, next, membership.firm._id);
+    if (!template) return;
+
+    template.archivedAt = Date.now();
+    await template.save();
+
+    logger.info(`Case template ${template.key} archived by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Case template archived',
+    });
+  } catch (error) {
+    logger.error(`Error archiving case template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Bring an archived case template back into use
+ * @route   POST /api/templates/:key/restore
+ * @access  Private (Firm partners and associates)
+ */
+exports.restoreTemplate = async (req, res, next) => {
+  try {
+    const membership = await requireMembership(req, next, { manage: true });
+    if (!membership) return;
+
+    const template = await findFirmTemplate(req, next, membership.firm._id);
+    if (!template) return;
+
+    if (await findCompeting(template.firm, template.caseType, template.key)) {
+      return next(new AppError(`Your firm already has a template for ${template.caseType} cases`, 409));
+    }
+
+    template.archivedAt = null;
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      data: template,
+    });
+  } catch (error) {
+    logger.error(`Error restoring case template: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,90 @@
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { recordCaseChanges } = require('../utils/caseHistory');
+const {
+  prepareTransition,
+  runTransitionActions,
+  getAvailableTransitions,
+  getStageTimeline,
+} = require('../utils/caseWorkflow');
+
+/**
+ * @desc    Move a case to another stage, or close or reopen it
+ * @route   POST /api/cases/:id/transition
+ * @access  Private (Case editors)
+ */
+exports.transitionCase = async (req, res, next) => {
+  try {
+    const { stage, status, outcome, reason } = req.body;
+
+    if (!stage === !status) {
+      return next(new AppError('Give either the stage to move to, or a status of closed or active', 400));
+    }
+
+    // Loaded and authorized by checkPermission('case', 'edit')
+    const caseItem = req.resource;
+    const before = caseItem.toObject();
+
+    const { errors, plan } = await prepareTransition(caseItem, { stage, status, outcome, reason }, req.user);
+    if (errors.length > 0) {
+      return next(new AppError(errors.join('; '), 400));
+    }
+
+    await caseItem.save();
+    await recordCaseChanges(before, caseItem, req.user);
+    const effects = await runTransitionActions(plan, caseItem, req.user);
+
+    logger.info(`Case ${caseItem._id} ${plan.kind}: ${before.caseStage}/${before.status} -> ${caseItem.caseStage}/${caseItem.status} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: caseItem,
+      effects,
+    });
+  } catch (error) {
+    logger.error(`Error changing case stage: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the stages a case can move to and what blocks each
+ * @route   GET /api/cases/:id/transitions
+ * @access  Private
+ */
+exports.getTransitions = async (req, res, next) => {
+  try {
+    // Loaded and authorized by checkPermission('case', 'read')
+    const caseItem = req.resource;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        stage: caseItem.caseStage,
+        status: caseItem.status,
+        transitions: await getAvailableTransitions(caseItem),
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting case transitions: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the stages a case has been through and how long each took
+ * @route   GET /api/cases/:id/stages
+ * @access  Private
+ */
+exports.getStageHistory = async (req, res, next) => {
+  try {
+    // Loaded and authorized by checkPermission('case', 'read')
+    res.status(200).json({
+      success: true,
+      data: getStageTimeline(req.resource),
+    });
+  } catch (error) {
+    logger.error(`Error getting case stage history: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,102 @@
+const ConflictCheck = require('../models/conflictCheck.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { subjectsFromCase, recordConflictCheck } = require('../utils/conflictCheck');
+
+const MIN_JUSTIFICATION_LENGTH = 20;
+
+/**
+ * @desc    Check prospective parties against existing cases
+ * @route   POST /api/cases/conflict-check
+ * @access  Private
+ */
+exports.checkConflicts = async (req, res, next) => {
+  try {
+    // Either an explicit list of people, or a case-shaped body
+    const subjects = Array.isArray(req.body.subjects)
+      ? req.body.subjects.filter(s => s && (s.name || s.email || s.phone))
+      : subjectsFromCase(req.body);
+
+    if (!subjects.length) {
+      return next(new AppError('Please provide at least one name, email or phone number to check', 400));
+    }
+
+    const check = await recordConflictCheck(req.user, subjects);
+
+    logger.info(`Conflict check ${check._id} by ${req.user.id}: ${check.hits.length} hit(s) for ${subjects.length} subject(s)`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        id: check._id,
+        status: check.status,
+        hits: check.hits,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error running conflict check: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a conflict check
+ * @route   GET /api/cases/conflict-check/:checkId
+ * @access  Private (The user who ran it)
+ */
+exports.getConflictCheck = async (req, res, next) => {
+  try {
+    const check = await ConflictCheck.findOne({ _id: req.params.checkId, performedBy: req.user.id })
+      .populate('override.by', 'name email');
+
+    if (!check) {
+      return next(new AppError('Conflict check not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: check,
+    });
+  } catch (error) {
+    logger.error(`Error getting conflict check: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Proceed despite conflicts, recording why
+ * @route   POST /api/cases/conflict-check/:checkId/override
+ * @access  Private (Lawyers)
+ */
+exports.overrideConflictCheck = async (req, res, next) => {
+  try {
+    const justification = (req.body.justification || '').trim();
+
+    if (justification.length < MIN_JUSTIFICATION_LENGTH) {
+      return next(new AppError(`Please explain why the conflicts can be disregarded (at least ${MIN_JUSTIFICATION_LENGTH} characters)`, 400));
+    }
+
+    const check = await ConflictCheck.findOne({ _id: req.params.checkId, performedBy: req.user.id });
+    if (!check) {
+      return next(new AppError('Conflict check not found', 404));
+    }
+
+    if (check.status !== 'conflicts') {
+      return next(new AppError(`Only checks with conflicts can be overridden; this one is ${check.status}`, 400));
+    }
+
+    check.status = 'overridden';
+    check.override = { justification, by: req.user.id, at: Date.now() };
+    await check.save();
+
+    logger.warn(`Conflict check ${check._id} overridden by ${req.user.id}: ${justification}`);
+
+    res.status(200).json({
+      success: true,
+      data: check,
+    });
+  } catch (error) {
+    logger.error(`Error overriding conflict check: ${error.message}`);
+    next(error);
+  }
+};
@@ -3,6 +3,24 @@ const Event = require('../models/event.model');
 const Document = require('../models/document.model');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
+const { getFirmMembership } = require('../utils/firmAccess');
+const { caseMembershipFilter } = require('../utils/policy');
+const { STAGE_LABELS } = require('../config/caseWorkflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Resolve `?scope=firm`: partners get a firm-wide view. Returns the firm id,
+// null for the personal view, or false after reporting an error.
+const getFirmScope = async (req, next) => {
+  if (req.query.scope !== 'firm') return null;
+
+  const membership = await getFirmMembership(req.user.id);
+  if (!membership || membership.role !== 'partner') {
+    next(new AppError('Only firm partners can view the firm-wide dashboard', 403));
+    return false;
+  }
+  return membership.firm._id;
+};
 
 /**
  * @desc    Get dashboard summary
@@ -11,15 +29,11 @@ const logger = require('../utils/logger');
  */
 exports.getSummary = async (req, res, next) => {
   try {
-    // Build filter based on user role
-    const userId = req.user.id;
-    const caseOrFilter = {
-      $or: [
-        { creator: userId },
-        { lawyer: userId },
-        { client: userId }
-      ]
-    };
+    const firmId = await getFirmScope(req, next);
+    if (firmId === false) return;
+
+    // Cases the user takes part in, or the whole firm's for partners
+    const caseOrFilter = firmId ? { firm: firmId } : caseMembershipFilter(req.user._id);
     console.log('Query for GET /api/dashboard/summary:', JSON.stringify(caseOrFilter));
 
     // Get total cases
@@ -48,25 +62,9 @@ exports.getSummary = async (req, res, next) => {
     const thirtyDaysLater = new Date();
     thirtyDaysLater.setDate(today.getDate() + 30);
     
-    // Get case IDs based on user role
-    let caseIds = [];
-    if (req.user.role === 'lawyer') {
-      const lawyerCases = await Case.find({
-        $or: [
-          { lawyer: req.user.id },
-          { 'lawyers.user': req.user.id }
-        ]
-      }).select('_id');
-      caseIds = lawyerCases.map(c => c._id);
-    } else if (req.user.role === 'client') {
-      const clientCases = await Case.find({
-        $or: [
-          { client: req.user.id },
-          { 'clients.user': req.user.id }
-        ]
-      }).select('_id');
-      caseIds = clientCases.map(c => c._id);
-    }
+    // Get the IDs of the cases in view
+    const scopedCases = await Case.find(caseOrFilter).select('_id');
+    const caseIds = scopedCases.map(c => c._id);
     
     const upcomingHearings = await Event.countDocuments({
       type: 'hearing',
@@ -82,9 +80,9 @@ exports.getSummary = async (req, res, next) => {
     
     // Calculate active clients (unique clients with active cases)
     let activeClients = 0;
-    if (req.user.role === 'lawyer') {
+    if (firmId || req.user.role === 'lawyer') {
       const activeCasesWithClients = await Case.find({
-        lawyer: req.user.id,
+        ...(firmId ? { firm: firmId } : { lawyer: req.user.id }),
         status: 'active'
       }).populate('client', '_id');
       
@@ -146,14 +144,10 @@ exports.getSummary = async (req, res, next) => {
  */
 exports.getRecentCases = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const caseOrFilter = {
-      $or: [
-        { creator: userId },
-        { lawyer: userId },
-        { client: userId }
-      ]
-    };
+    const firmId = await getFirmScope(req, next);
+    if (firmId === false) return;
+
+    const caseOrFilter = firmId ? { firm: firmId } : caseMembershipFilter(req.user._id);
     console.log('Query for GET /api/dashboard/recent-cases:', JSON.stringify(caseOrFilter));
 
     // Get recent cases with advocates
@@ -209,25 +203,12 @@ exports.getRecentCases = async (req, res, next) => {
  */
 exports.getUpcomingEvents = async (req, res, next) => {
   try {
-    // Get case IDs based on user role
-    let caseIds = [];
-    if (req.user.role === 'lawyer') {
-      const lawyerCases = await Case.find({
-        $or: [
-          { lawyer: req.user.id },
-          { 'lawyers.user': req.user.id }
-        ]
-      }).select('_id');
-      caseIds = lawyerCases.map(c => c._id);
-    } else if (req.user.role === 'client') {
-      const clientCases = await Case.find({
-        $or: [
-          { client: req.user.id },
-          { 'clients.user': req.user.id }
-        ]
-      }).select('_id');
-      caseIds = clientCases.map(c => c._id);
-    }
+    const firmId = await getFirmScope(req, next);
+    if (firmId === false) return;
+
+    // Get the IDs of the cases in view
+    const scopedCases = await Case.find(firmId ? { firm: firmId } : caseMembershipFilter(req.user._id)).select('_id');
+    const caseIds = scopedCases.map(c => c._id);
     // Use current date/time for filtering
     const now = new Date();
     const sevenDaysLater = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
@@ -335,4 +316,86 @@ function getTimeAgo(date) {
   if (interval === 1) return 'a minute ago';
   
   return 'just now';
-}
\ No newline at end of file
+}
+
+const toDays = (ms) => Math.round((ms / DAY_MS) * 10) / 10;
+
+const median = (sorted) => {
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * @desc    Get how long cases spend in each stage
+ * @route   GET /api/dashboard/stage-durations
+ * @access  Private
+ */
+exports.getStageDurations = async (req, res, next) => {
+  try {
+    const firmId = await getFirmScope(req, next);
+    if (firmId === false) return;
+
+    const match = firmId ? { firm: firmId } : caseMembershipFilter(req.user._id);
+    // Aggregation $match is not cast, so only a known case type gets through
+    const { caseType } = req.query;
+    if (caseType !== undefined) {
+      const caseTypes = Case.schema.path('caseType').enumValues;
+      if (typeof caseType !== 'string' || !caseTypes.includes(caseType)) {
+        return next(new AppError(`Case type must be one of: ${caseTypes.join(', ')}`, 400));
+      }
+      match.caseType = caseType;
+    }
+
+    // One row per stage with the durations of finished and still-open stays
+    const now = new Date();
+    const rows = await Case.aggregate([
+      { $match: match },
+      { $unwind: '$stageHistory' },
+      {
+        $project: {
+          stage: '$stageHistory.stage',
+          open: { $eq: [{ $ifNull: ['$stageHistory.exitedAt', null] }, null] },
+          duration: {
+            $subtract: [{ $ifNull: ['$stageHistory.exitedAt', now] }, '$stageHistory.enteredAt'],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: '$stage',
+          completed: { $push: { $cond: ['$open', '$$REMOVE', '$duration'] } },
+          open: { $push: { $cond: ['$open', '$duration', '$$REMOVE'] } },
+        },
+      },
+    ]);
+
+    const stages = Object.keys(STAGE_LABELS)
+      .map((stage) => {
+        const row = rows.find(r => r._id === stage);
+        if (!row) return null;
+        const completed = [...row.completed].sort((a, b) => a - b);
+        const total = completed.reduce((sum, ms) => sum + ms, 0);
+        const openTotal = row.open.reduce((sum, ms) => sum + ms, 0);
+        return {
+          stage,
+          label: STAGE_LABELS[stage],
+          completed: completed.length,
+          averageDays: completed.length ? toDays(total / completed.length) : null,
+          medianDays: completed.length ? toDays(median(completed)) : null,
+          longestDays: completed.length ? toDays(completed[completed.length - 1]) : null,
+          // Cases in the stage now, and how long they have been there on average
+          current: row.open.length,
+          currentAverageDays: row.open.length ? toDays(openTotal / row.open.length) : null,
+        };
+      })
+      .filter(Boolean);
+
+    res.status(200).json({
+      success: true,
+      data: stages,
+    });
+  } catch (error) {
+    logger.error(`Error getting stage durations: ${error.message}`);
+    next(error);
+  }
+};
@@ -2,6 +2,7 @@ const Document = require('../models/document.model');
 const Case = require('../models/case.model');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
+const { checkAccess, readableDocumentFilter } = require('../utils/policy');
 const { uploadFileToGCS, getPublicUrl, deleteFileFromGCS } = require('../utils/gcsStorage');
 
 /**
@@ -13,22 +14,10 @@ exports.getDocuments = async (req, res, next) => {
   try {
     const { search, category, status, caseId, tag, tab, sortBy, sortOrder } = req.query;
 
-    // Build filter object
-    const filter = {};
-
-    // Check user role and filter documents accordingly
-    if (req.user.role === 'client') {
-      // Clients can only see documents from their cases
-      const clientCases = await Case.find({ client: req.user.id }).select('_id');
-      const clientCaseIds = clientCases.map(c => c._id);
-      filter.case = { $in: clientCaseIds };
-    } else if (req.user.role === 'lawyer') {
-      // Lawyers can see documents from cases where they are assigned
-      const lawyerCases = await Case.find({ lawyer: req.user.id }).select('_id');
-      const lawyerCaseIds = lawyerCases.map(c => c._id);
-      filter.case = { $in: lawyerCaseIds };
-    }
-
+    // Build filter object, limited to documents the user may read
+    const filter = {
+      $and: [await readableDocumentFilter(req.user._id)],
+    };
 
     // Apply additional filters if provided
     if (search) {
@@ -62,7 +51,7 @@ exports.getDocuments = async (req, res, next) => {
         filter.createdAt = { $gte: sevenDaysAgo };
       } else if (tab === 'shared') {
         // Documents shared with the user
-        filter.sharedWith = req.user.id;
+        filter['accessibleTo.user'] = req.user.id;
       } else if (tab === 'favorites') {
         // Favorited documents
         filter.favoritedBy = req.user.id;
@@ -136,21 +125,6 @@ exports.getDocument = async (req, res, next) => {
       return next(new AppError('Document not found', 404));
     }
 
-    // Check if user has permission to view this document
-    if (req.user.role === 'client') {
-      // Check if document belongs to a case where the client is assigned
-      const caseItem = await Case.findById(document.case);
-      if (!caseItem || caseItem.client.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to access this document', 403));
-      }
-    } else if (req.user.role === 'lawyer') {
-      // Check if document belongs to a case where the lawyer is assigned
-      const caseItem = await Case.findById(document.case);
-      if (!caseItem || caseItem.lawyer.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to access this document', 403));
-      }
-    }
-
     // Generate signed URL for document access
     let signedUrl = null;
     if (document.fileUrl) {
@@ -191,11 +165,7 @@ exports.uploadDocument = async (req, res, next) => {
     }
 
     // Check if user has permission to add documents to this case
-    if (req.user.role === 'client' && caseItem.client.toString() !== req.user.id.toString()) {
-      return next(new AppError('Not authorized to add documents to this case', 403));
-    }
-
-    if (req.user.role === 'lawyer' && caseItem.lawyer.toString() !== req.user.id.toString()) {
+    if (!(await checkAccess(req, 'upload', 'case', caseItem))) {
       return next(new AppError('Not authorized to add documents to this case', 403));
     }
 
@@ -224,6 +194,7 @@ exports.uploadDocument = async (req, res, next) => {
       name: name || originalName,
       description,
       case: caseId,
+      firm: caseItem.firm,
       category,
       tags: parsedTags,
       fileType: mimeType,
@@ -260,30 +231,12 @@ exports.updateDocument = async (req, res, next) => {
     const documentId = req.params.id;
     const { name, description, category, tags, status } = req.body;
 
-    // Find document first to check permissions
-    const document = await Document.findById(documentId);
+    // Loaded and authorized by checkPermission('document', 'edit')
+    const document = req.resource;
 
-    if (!document) {
-      return next(new AppError('Document not found', 404));
-    }
-
-    // Check if user has permission to update this document
-    if (req.user.role === 'client') {
-      // Clients can only update documents they uploaded
-      if (document.uploadedBy.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to update this document', 403));
-      }
-      
-      // Clients cannot change the status
-      if (status && status !== document.status) {
-        return next(new AppError('Not authorized to change document status', 403));
-      }
-    } else if (req.user.role === 'lawyer') {
-      // Check if document belongs to a case where the lawyer is assigned
-      const caseItem = await Case.findById(document.case);
-      if (!caseItem || caseItem.lawyer.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to update this document', 403));
-      }
+    // Clients cannot change the status
+    if (req.user.role === 'client' && status && status !== document.status) {
+      return next(new AppError('Not authorized to change document status', 403));
     }
 
     // Parse tags if provided
@@ -335,24 +288,8 @@ exports.deleteDocument = async (req, res, next) => {
   try {
     const documentId = req.params.id;
 
-    // Find document first to check permissions
-    const document = await Document.findById(documentId);
-
-    if (!document) {
-      return next(new AppError('Document not found', 404));
-    }
-
-    // Check if user has permission to delete this document
-    if (req.user.role === 'client') {
-      // Clients cannot delete documents
-      return next(new AppError('Not authorized to delete documents', 403));
-    } else if (req.user.role === 'lawyer') {
-      // Check if document belongs to a case where the lawyer is assigned
-      const caseItem = await Case.findById(document.case);
-      if (!caseItem || caseItem.lawyer.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to delete this document', 403));
-      }
-    }
+    // Loaded and authorized by checkPermission('document', 'delete')
+    const document = req.resource;
 
     // Delete file from storage
     if (document.fileUrl) {
@@ -387,24 +324,28 @@ exports.deleteDocument = async (req, res, next) => {
 exports.shareDocument = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { users } = req.body;
-
-    const document = await Document.findById(id);
+    const { users, permission = 'view' } = req.body;
 
-    if (!document) {
-      return next(new AppError('Document not found', 404));
+    if (!Array.isArray(users)) {
+      return next(new AppError('Users must be an array of user IDs', 400));
     }
 
-    if (req.user.role === 'lawyer') {
-      // Check if document belongs to a case where the lawyer is assigned
-      const caseItem = await Case.findById(document.case);
-      if (!caseItem || caseItem.lawyer.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to share this document', 403));
-      }
+    if (!['view', 'download', 'edit'].includes(permission)) {
+      return next(new AppError('Permission must be view, download or edit', 400));
     }
 
-    // Update document with shared users
-    document.sharedWith = users;
+    // Loaded and authorized by checkPermission('document', 'share')
+    const document = req.resource;
+
+    // Add or update a grant per user; earlier grants to others stay
+    users.forEach((user) => {
+      const grant = document.accessibleTo.find(access => String(access.user) === String(user));
+      if (grant) {
+        grant.permission = permission;
+      } else {
+        document.accessibleTo.push({ user, permission });
+      }
+    });
     await document.save();
 
     logger.info(`Document shared: ${document.name} (ID: ${id}) with users: ${users.join(', ')}`);
@@ -428,26 +369,8 @@ exports.toggleFavorite = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const document = await Document.findById(id);
-
-    if (!document) {
-      return next(new AppError('Document not found', 404));
-    }
-
-    // Check if user has access to this document
-    if (req.user.role === 'client') {
-      // Check if document belongs to a case where the client is assigned
-      const caseItem = await Case.findById(document.case);
-      if (!caseItem || caseItem.client.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to access this document', 403));
-      }
-    } else if (req.user.role === 'lawyer') {
-      // Check if document belongs to a case where the lawyer is assigned
-      const caseItem = await Case.findById(document.case);
-      if (!caseItem || caseItem.lawyer.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to access this document', 403));
-      }
-    }
+    // Loaded and authorized by checkPermission('document', 'read')
+    const document = req.resource;
 
     // Toggle favorite status
     const isFavorited = document.favoritedBy.includes(req.user.id);
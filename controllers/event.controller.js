@@ -2,6 +2,8 @@ const Event = require('../models/event.model');
 const Case = require('../models/case.model');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
+const { getFirmId } = require('../utils/firmAccess');
+const { checkAccess, readableEventFilter } = require('../utils/policy');
 
 /**
  * @desc    Get all events or filtered events
@@ -12,31 +14,10 @@ exports.getEvents = async (req, res, next) => {
   try {
     const { search, type, caseId, startDate, endDate } = req.query;
 
-    // Build filter object
-    const filter = {};
-
-    // Find all case IDs where the user is involved (as lawyer or client, including arrays)
-    let userCaseIds = [];
-    if (req.user.role === 'client') {
-      const clientCases = await Case.find({
-        $or: [
-          { client: req.user.id },
-          { 'clients.user': req.user.id }
-        ]
-      }).select('_id');
-      userCaseIds = clientCases.map(c => c._id);
-    } else if (req.user.role === 'lawyer') {
-      const lawyerCases = await Case.find({
-        $or: [
-          { lawyer: req.user.id },
-          { 'lawyers.user': req.user.id }
-        ]
-      }).select('_id');
-      userCaseIds = lawyerCases.map(c => c._id);
-    }
-    if (userCaseIds.length > 0) {
-      filter.case = { $in: userCaseIds };
-    }
+    // Build filter object, limited to events the user may read
+    const filter = {
+      $and: [await readableEventFilter(req.user._id)],
+    };
 
     // Apply additional filters if provided
     if (search) {
@@ -124,21 +105,6 @@ exports.getEvent = async (req, res, next) => {
       return next(new AppError('Event not found', 404));
     }
 
-    // Check if user has permission to view this event
-    if (req.user.role === 'client') {
-      // Check if event belongs to a case where the client is assigned
-      const caseItem = await Case.findById(event.case);
-      if (!caseItem || caseItem.client.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to access this event', 403));
-      }
-    } else if (req.user.role === 'lawyer') {
-      // Check if event belongs to a case where the lawyer is assigned
-      const caseItem = await Case.findById(event.case);
-      if (!caseItem || caseItem.lawyer.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to access this event', 403));
-      }
-    }
-
     res.status(200).json({
       success: true,
       data: event,
@@ -176,17 +142,15 @@ exports.createEvent = async (req, res, next) => {
       }
 
       // Check if user has permission to add events to this case
-      if (req.user.role === 'client' && caseItem.client.toString() !== req.user.id.toString()) {
-        logger.error(`createEvent: Client ${req.user.id} not authorized for case ${caseId}`);
-        return next(new AppError('Not authorized to add events to this case', 403));
-      }
-
-      if (req.user.role === 'lawyer' && caseItem.lawyer.toString() !== req.user.id.toString()) {
-        logger.error(`createEvent: Lawyer ${req.user.id} not authorized for case ${caseId}`);
+      if (!(await checkAccess(req, 'edit', 'case', caseItem))) {
         return next(new AppError('Not authorized to add events to this case', 403));
       }
     }
 
+    // Case events belong to the case's firm; others to the creator's firm
+    const linkedCase = caseId ? await Case.findById(caseId).select('firm') : null;
+    const firmId = linkedCase && linkedCase.firm ? linkedCase.firm : await getFirmId(req.user.id);
+
     // Create event
     const newEvent = await Event.create({
       title,
@@ -199,6 +163,7 @@ exports.createEvent = async (req, res, next) => {
       caseTitle: caseId ? (await Case.findById(caseId))?.title : undefined,
       caseNumber: caseId ? (await Case.findById(caseId))?.caseNumber : undefined,
       participants: participants || [],
+      firm: firmId || undefined,
       createdBy: req.user.id,
     });
 
@@ -230,31 +195,17 @@ exports.updateEvent = async (req, res, next) => {
   try {
     const eventId = req.params.id;
 
-    // Find event first to check permissions
-    const event = await Event.findById(eventId);
-    
-    if (!event) {
-      return next(new AppError('Event not found', 404));
-    }
+    // Loaded and authorized by checkPermission('event', 'edit')
+    const event = req.resource;
 
-    // Check if user has permission to update this event
-    if (req.user.role === 'client') {
-      // Clients can only update events they created
-      if (event.createdBy.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to update this event', 403));
+    // Moving the event to another case needs permission on that case too
+    if (req.body.case && String(req.body.case) !== String(event.case)) {
+      const targetCase = await Case.findById(req.body.case);
+      if (!targetCase) {
+        return next(new AppError('Case not found', 404));
       }
-    } else if (req.user.role === 'lawyer') {
-      // Check if event belongs to a case where the lawyer is assigned
-      if (event.case) {
-        const caseItem = await Case.findById(event.case);
-        if (!caseItem || caseItem.lawyer.toString() !== req.user.id.toString()) {
-          return next(new AppError('Not authorized to update this event', 403));
-        }
-      } else {
-        // If not associated with a case, only the creator can update it
-        if (event.createdBy.toString() !== req.user.id.toString()) {
-          return next(new AppError('Not authorized to update this event', 403));
-        }
+      if (!(await checkAccess(req, 'edit', 'case', targetCase))) {
+        return next(new AppError('Not authorized to add events to this case', 403));
       }
     }
 
@@ -289,33 +240,8 @@ exports.deleteEvent = async (req, res, next) => {
   try {
     const eventId = req.params.id;
 
-    // Find event first to check permissions
-    const event = await Event.findById(eventId);
-    
-    if (!event) {
-      return next(new AppError('Event not found', 404));
-    }
-
-    // Check if user has permission to delete this event
-    if (req.user.role === 'client') {
-      // Clients can only delete events they created
-      if (event.createdBy.toString() !== req.user.id.toString()) {
-        return next(new AppError('Not authorized to delete this event', 403));
-      }
-    } else if (req.user.role === 'lawyer') {
-      // Check if event belongs to a case where the lawyer is assigned
-      if (event.case) {
-        const caseItem = await Case.findById(event.case);
-        if (!caseItem || caseItem.lawyer.toString() !== req.user.id.toString()) {
-          return next(new AppError('Not authorized to delete this event', 403));
-        }
-      } else {
-        // If not associated with a case, only the creator can delete it
-        if (event.createdBy.toString() !== req.user.id.toString()) {
-          return next(new AppError('Not authorized to delete this event', 403));
-        }
-      }
-    }
+    // Loaded and authorized by checkPermission('event', 'delete')
+    const event = req.resource;
 
     // Delete event
     await Event.findByIdAndDelete(eventId);
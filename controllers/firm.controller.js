@@ -0,0 +1,410 @@
+const Firm = require('../models/firm.model');
+const User = require('../models/user.model');
+const FirmInvitation = require('../models/firmInvitation.model');
+const Notification = require('../models/notification.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+
+const FIRM_ROLES = ['partner', 'associate', 'clerk'];
+const INVITATION_TTL_DAYS = 14;
+
+// Load the firm from :id and make sure the current user is one of its partners
+const findFirmAsPartner = async (req, next) => {
+  const firm = await Firm.findById(req.params.id);
+  if (!firm) {
+    next(new AppError('Firm not found', 404));
+    return null;
+  }
+  if (firm.getMemberRole(req.user.id) !== 'partner') {
+    next(new AppError('Only firm partners can manage the firm', 403));
+    return null;
+  }
+  return firm;
+};
+
+/**
+ * @desc    Create a firm; the creator becomes its first partner
+ * @route   POST /api/firms
+ * @access  Private (Lawyers)
+ */
+exports.createFirm = async (req, res, next) => {
+  try {
+    const { name, address, phone, email } = req.body;
+
+    if (!name) {
+      return next(new AppError('Firm name is required', 400));
+    }
+
+    if (await Firm.findByMember(req.user.id)) {
+      return next(new AppError('You already belong to a firm', 400));
+    }
+
+    const firm = await Firm.create({
+      name,
+      address,
+      phone,
+      email,
+      members: [{ user: req.user.id, role: 'partner', addedBy: req.user.id }],
+      createdBy: req.user.id,
+    });
+
+    logger.info(`Firm created: ${firm.name} (ID: ${firm._id}) by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: firm,
+    });
+  } catch (error) {
+    logger.error(`Error creating firm: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's firm
+ * @route   GET /api/firms/mine
+ * @access  Private
+ */
+exports.getMyFirm = async (req, res, next) => {
+  try {
+    const firm = await Firm.findByMember(req.user.id)
+      .populate('members.user', 'name email role');
+
+    if (!firm) {
+      return next(new AppError('You do not belong to a firm', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: firm,
+      role: firm.getMemberRole(req.user.id),
+    });
+  } catch (error) {
+    logger.error(`Error getting firm: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update firm details
+ * @route   PUT /api/firms/:id
+ * @access  Private (Firm partners)
+ */
+exports.updateFirm = async (req, res, next) => {
+  try {
+    const firm = await findFirmAsPartner(req, next);
+    if (!firm) return;
+
+    ['name', 'address', 'phone', 'email'].forEach((field) => {
+      if (req.body[field] !== undefined) firm[field] = req.body[field];
+    });
+    await firm.save();
+
+    res.status(200).json({
+      success: true,
+      data: firm,
+    });
+  } catch (error) {
+    logger.error(`Error updating firm: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Invite a lawyer or clerk to join the firm
+ * @route   POST /api/firms/:id/invitations
+ * @access  Private (Firm partners)
+ */
+exports.inviteMember = async (req, res, next) => {
+  try {
+    const { userId, email, role = 'associate' } = req.body;
+
+    if (!FIRM_ROLES.includes(role)) {
+      return next(new AppError(`Role must be one of: ${FIRM_ROLES.join(', ')}`, 400));
+    }
+
+    const firm = await findFirmAsPartner(req, next);
+    if (!firm) return;
+
+    // User.email is stored lower-cased, and queries on it are lower-cased too
+    const user = userId
+      ? await User.findById(userId)
+      : await User.findOne({ email: (email || '').trim().toLowerCase() });
+
+    if (!user) {
+      return next(new AppError('User not found', 404));
+    }
+
+    if (user.role === 'client') {
+      return next(new AppError('Clients cannot be added to a firm', 400));
+    }
+
+    if (firm.getMemberRole(user._id)) {
+      return next(new AppError('User is already a member of this firm', 400));
+    }
+
+    const pending = await FirmInvitation.findOne({
+      firm: firm._id,
+      user: user._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    });
+    if (pending) {
+      return next(new AppError('An invitation is already pending for this user', 400));
+    }
+
+    const invitation = await FirmInvitation.create({
+      firm: firm._id,
+      user: user._id,
+      role,
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    await Notification.create({
+      user: user._id,
+      type: 'other',
+      message: `${req.user.name} invited you to join ${firm.name} as ${role}`,
+      link: '/dashboard/firm/invitations',
+      meta: { firmId: firm._id, invitationId: invitation._id },
+    });
+
+    logger.info(`User ${user._id} invited to firm ${firm._id} as ${role} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: invitation,
+    });
+  } catch (error) {
+    logger.error(`Error inviting firm member: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the firm's invitations
+ * @route   GET /api/firms/:id/invitations
+ * @access  Private (Firm partners)
+ */
+exports.getFirmInvitations = async (req, res, next) => {
+  try {
+    const firm = await findFirmAsPartner(req, next);
+    if (!firm) return;
+
+    const invitations = await FirmInvitation.find({ firm: firm._id })
+      .populate('user', 'name email')
+      .populate('invitedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations.map(invitation => ({ ...invitation.toObject(), status: invitation.currentStatus() })),
+    });
+  } catch (error) {
+    logger.error(`Error getting firm invitations: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a pending firm invitation
+ * @route   DELETE /api/firms/:id/invitations/:invitationId
+ * @access  Private (Firm partners)
+ */
+exports.revokeFirmInvitation = async (req, res, next) => {
+  try {
+    const firm = await findFirmAsPartner(req, next);
+    if (!firm) return;
+
+    const invitation = await FirmInvitation.findOne({ _id: req.params.invitationId, firm: firm._id });
+    if (!invitation) {
+      return next(new AppError('Invitation not found', 404));
+    }
+
+    if (invitation.status !== 'pending') {
+      return next(new AppError(`This invitation is already ${invitation.status}`, 400));
+    }
+
+    invitation.status = 'revoked';
+    invitation.respondedAt = Date.now();
+    await invitation.save();
+
+    logger.info(`Firm invitation ${invitation._id} revoked by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: invitation,
+    });
+  } catch (error) {
+    logger.error(`Error revoking firm invitation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the firm invitations waiting for the current user
+ * @route   GET /api/firms/invitations
+ * @access  Private
+ */
+exports.getMyInvitations = async (req, res, next) => {
+  try {
+    const invitations = await FirmInvitation.find({
+      user: req.user.id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    })
+      .populate('firm', 'name')
+      .populate('invitedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations,
+    });
+  } catch (error) {
+    logger.error(`Error getting firm invitations: ${error.message}`);
+    next(error);
+  }
+};
+
+// Accept or decline one of the current user's firm invitations
+const respondToInvitation = (accept) => async (req, res, next) => {
+  try {
+    const invitation = await FirmInvitation.findOne({ _id: req.params.invitationId, user: req.user.id });
+    if (!invitation || invitation.currentStatus() !== 'pending') {
+      return next(new AppError('Invitation is invalid or has expired', 400));
+    }
+
+    let firm = null;
+    if (accept) {
+      firm = await Firm.findById(invitation.firm);
+      if (!firm) {
+        return next(new AppError('The firm for this invitation no longer exists', 404));
+      }
+      if (await Firm.findByMember(req.user.id)) {
+        return next(new AppError('Leave your current firm before joining another', 400));
+      }
+      firm.members.push({ user: req.user.id, role: invitation.role, addedBy: invitation.invitedBy });
+      await firm.save();
+    }
+
+    invitation.status = accept ? 'accepted' : 'declined';
+    invitation.respondedAt = Date.now();
+    await invitation.save();
+
+    await Notification.create({
+      user: invitation.invitedBy,
+      type: 'other',
+      message: `${req.user.name} ${invitation.status} your invitation to join the firm`,
+      meta: { firmId: invitation.firm, invitationId: invitation._id },
+    });
+
+    logger.info(`Firm invitation ${invitation._id} ${invitation.status} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: firm || invitation,
+    });
+  } catch (error) {
+    logger.error(`Error responding to firm invitation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a firm invitation and join the firm
+ * @route   POST /api/firms/invitations/:invitationId/accept
+ * @access  Private (The invitee)
+ */
+exports.acceptInvitation = respondToInvitation(true);
+
+/**
+ * @desc    Decline a firm invitation
+ * @route   POST /api/firms/invitations/:invitationId/decline
+ * @access  Private (The invitee)
+ */
+exports.declineInvitation = respondToInvitation(false);
+
+/**
+ * @desc    Change a member's firm role
+ * @route   PATCH /api/firms/:id/members/:userId
+ * @access  Private (Firm partners)
+ */
+exports.updateMemberRole = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!FIRM_ROLES.includes(role)) {
+      return next(new AppError(`Role must be one of: ${FIRM_ROLES.join(', ')}`, 400));
+    }
+
+    const firm = await findFirmAsPartner(req, next);
+    if (!firm) return;
+
+    const member = firm.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return next(new AppError('User is not a member of this firm', 404));
+    }
+
+    if (member.role === 'partner' && role !== 'partner' && firm.partnerCount() === 1) {
+      return next(new AppError('A firm must keep at least one partner', 400));
+    }
+
+    member.role = role;
+    await firm.save();
+
+    logger.info(`Firm ${firm._id}: ${req.params.userId} is now ${role} (changed by ${req.user.id})`);
+
+    res.status(200).json({
+      success: true,
+      data: firm,
+    });
+  } catch (error) {
+    logger.error(`Error updating firm member: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a member from the firm (partners, or members leaving)
+ * @route   DELETE /api/firms/:id/members/:userId
+ * @access  Private
+ */
+exports.removeMember = async (req, res, next) => {
+  try {
+    const firm = await Firm.findById(req.params.id);
+
+    if (!firm) {
+      return next(new AppError('Firm not found', 404));
+    }
+
+    const isSelf = req.params.userId === req.user.id;
+    if (!isSelf && firm.getMemberRole(req.user.id) !== 'partner') {
+      return next(new AppError('Only firm partners can remove members', 403));
+    }
+
+    const member = firm.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return next(new AppError('User is not a member of this firm', 404));
+    }
+
+    if (member.role === 'partner' && firm.partnerCount() === 1) {
+      return next(new AppError('A firm must keep at least one partner', 400));
+    }
+
+    firm.members = firm.members.filter(m => m.user.toString() !== req.params.userId);
+    await firm.save();
+
+    logger.info(`User ${req.params.userId} removed from firm ${firm._id} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed from firm',
+    });
+  } catch (error) {
+    logger.error(`Error removing firm member: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,227 @@
+const Event = require('../models/event.model');
+const Hearing = require('../models/hearing.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const { recordCaseChanges } = require('../utils/caseHistory');
+const { DECIDED_STAGES, checkTransition, prepareTransition, runTransitionActions } = require('../utils/caseWorkflow');
+
+const OUTCOMES = Hearing.schema.path('outcome').enumValues;
+const HEARING_DURATION = 60 * 60 * 1000; // 1 hour on the calendar
+
+// Hearing events that have not been held yet
+const OPEN_EVENT_STATUSES = ['scheduled', 'confirmed'];
+
+// The open hearing event an outcome is being recorded for: the one named in
+// the request, otherwise the case's earliest open hearing
+const findCurrentHearingEvent = (caseId, eventId) => {
+  const filter = { case: caseId, type: 'hearing', status: { $in: OPEN_EVENT_STATUSES } };
+  if (eventId) filter._id = eventId;
+  return Event.findOne(filter).sort({ start: 1 });
+};
+
+/**
+ * @desc    List a case's hearings, latest first
+ * @route   GET /api/cases/:id/hearings
+ * @access  Private
+ */
+exports.getHearings = async (req, res, next) => {
+  try {
+    // Loaded and authorized by checkPermission('case', 'read')
+    const hearings = await Hearing.find({ case: req.resource._id })
+      .populate('recordedBy', 'name')
+      .sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: hearings.length,
+      data: hearings,
+    });
+  } catch (error) {
+    logger.error(`Error getting hearings: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record what happened at a hearing. Closes the hearing's event,
+ *          schedules the next date and moves the case on.
+ * @route   POST /api/cases/:id/hearings
+ * @access  Private (Case editors)
+ */
+exports.recordHearing = async (req, res, next) => {
+  try {
+    const { eventId, bench, judge, courtHall, purpose, summary, outcome, nextDate, nextPurpose, caseStage, caseOutcome } = req.body;
+
+    if (!OUTCOMES.includes(outcome)) {
+      return next(new AppError(`Outcome must be one of: ${OUTCOMES.join(', ')}`, 400));
+    }
+
+    const nextHearingDate = nextDate ? new Date(nextDate) : null;
+    if (nextHearingDate && (Number.isNaN(nextHearingDate.getTime()) || nextHearingDate <= new Date())) {
+      return next(new AppError('Next hearing date must be a valid future date', 400));
+    }
+    if (outcome === 'disposed' && nextHearingDate) {
+      return next(new AppError('A disposed case has no next hearing date', 400));
+    }
+    if (['adjourned', 'heard'].includes(outcome) && !nextHearingDate) {
+      return next(new AppError('Please give the next hearing date', 400));
+    }
+
+    // Loaded and authorized by checkPermission('case', 'edit')
+    const caseItem = req.resource;
+
+    // Stage and status moves go through the workflow. A stage given here must
+    // be a permitted next stage; judgment after a reserved or disposed hearing
+    // is the court's doing and is recorded as it happened.
+    const transitions = [];
+    if (caseStage && caseStage !== caseItem.caseStage) {
+      transitions.push({ change: { stage: caseStage } });
+    } else if (!caseStage && ['reserved', 'disposed'].includes(outcome) && !DECIDED_STAGES.includes(caseItem.caseStage)) {
+      transitions.push({ change: { stage: 'judgment' }, options: { enforce: false } });
+    }
+    if (outcome === 'disposed') {
+      transitions.push({ change: { status: 'closed', outcome: caseOutcome } });
+    }
+
+    // Check every move before anything is recorded
+    let preview = caseItem.toObject();
+    for (const { change, options } of transitions) {
+      const { errors } = await checkTransition(preview, change, options);
+      if (errors.length > 0) {
+        return next(new AppError(errors.join('; '), 400));
+      }
+      preview = { ...preview, caseStage: change.stage || preview.caseStage };
+    }
+
+    const currentEvent = await findCurrentHearingEvent(caseItem._id, eventId);
+    if (eventId && !currentEvent) {
+      return next(new AppError('No open hearing event with that id on this case', 404));
+    }
+
+    const date = req.body.date ? new Date(req.body.date) : (currentEvent ? currentEvent.start : new Date());
+    if (Number.isNaN(date.getTime()) || date > new Date()) {
+      return next(new AppError('Hearing date must be a valid date that is not in the future', 400));
+    }
+
+    const hearing = new Hearing({
+      case: caseItem._id,
+      event: currentEvent ? currentEvent._id : undefined,
+      date,
+      bench,
+      judge,
+      courtHall: courtHall || caseItem.courtHall,
+      purpose: purpose || (currentEvent ? currentEvent.description : undefined),
+      summary,
+      outcome,
+      nextDate: nextHearingDate || undefined,
+      nextPurpose,
+      firm: caseItem.firm,
+      recordedBy: req.user.id,
+    });
+    await hearing.validate();
+
+    // Close the hearing on the calendar. updateOne, because the event's own
+    // validation refuses start dates in the past.
+    if (currentEvent) {
+      await Event.updateOne(
+        { _id: currentEvent._id },
+        {
+          status: outcome === 'adjourned' ? 'adjourned' : 'completed',
+          completedAt: Date.now(),
+          updatedAt: Date.now(),
+        }
+      );
+    }
+
+    // A disposed case has nothing left to attend
+    if (outcome === 'disposed') {
+      await Event.updateMany(
+        { case: caseItem._id, type: 'hearing', status: { $in: OPEN_EVENT_STATUSES } },
+        { status: 'cancelled', updatedAt: Date.now() }
+      );
+    }
+
+    // Put the next date on the calendar unless it is already there
+    if (nextHearingDate) {
+      const existing = await Event.findOne({
+        case: caseItem._id,
+        type: 'hearing',
+        status: { $in: OPEN_EVENT_STATUSES },
+        start: nextHearingDate,
+      });
+      const nextEvent = existing || await Event.create({
+        title: `Hearing - ${caseItem.title}`,
+        description: nextPurpose || `Court hearing for case: ${caseItem.caseNumber}`,
+        start: nextHearingDate,
+        end: new Date(nextHearingDate.getTime() + HEARING_DURATION),
+        type: 'hearing',
+        case: caseItem._id,
+        caseTitle: caseItem.title,
+        caseNumber: caseItem.caseNumber,
+        firm: caseItem.firm,
+        location: caseItem.court || 'Court',
+        createdBy: req.user.id,
+        status: 'scheduled',
+        priority: caseItem.isUrgent ? 'high' : 'medium',
+      });
+      hearing.nextEvent = nextEvent._id;
+      if (!existing) {
+        caseItem.events.push(nextEvent._id);
+      }
+    }
+
+    await hearing.save();
+
+    // Move the case on. Saved as a document so the update hook that
+    // reschedules hearing events doesn't create a second one.
+    const before = caseItem.toObject();
+    caseItem.nextHearingDate = nextHearingDate || undefined;
+    const plans = [];
+    for (const { change, options } of transitions) {
+      const { plan } = await prepareTransition(caseItem, change, req.user, options);
+      if (plan) plans.push(plan);
+    }
+    await caseItem.save();
+    await recordCaseChanges(before, caseItem, req.user, { hearing: hearing._id });
+    for (const plan of plans) {
+      await runTransitionActions(plan, caseItem, req.user);
+    }
+
+    logger.info(`Hearing recorded for case ${caseItem._id}: ${outcome}${nextHearingDate ? `, next date ${nextHearingDate.toISOString()}` : ''} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: hearing,
+    });
+  } catch (error) {
+    logger.error(`Error recording hearing: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Correct the details of a recorded hearing (not its outcome or dates)
+ * @route   PUT /api/cases/:id/hearings/:hearingId
+ * @access  Private (Case editors)
+ */
+exports.updateHearing = async (req, res, next) => {
+  try {
+    const hearing = await Hearing.findOne({ _id: req.params.hearingId, case: req.resource._id });
+    if (!hearing) {
+      return next(new AppError('Hearing not found', 404));
+    }
+
+    ['bench', 'judge', 'courtHall', 'purpose', 'summary', 'nextPurpose'].forEach((field) => {
+      if (req.body[field] !== undefined) hearing[field] = req.body[field];
+    });
+    await hearing.save();
+
+    res.status(200).json({
+      success: true,
+      data: hearing,
+    });
+  } catch (error) {
+    logger.error(`Error updating hearing: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,291 @@
+const CaseInvitation = require('../models/caseInvitation.model');
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const {
+  INVITATION_TTL_DAYS,
+  sendInvitation,
+  findInvitationByToken,
+  acceptInvitation,
+} = require('../utils/caseInvitations');
+
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const EMAIL_PATTERN = /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/;
+
+const formatInvitation = (invitation) => ({
+  id: invitation._id,
+  case: invitation.case,
+  email: invitation.email,
+  name: invitation.name,
+  role: invitation.role,
+  status: invitation.currentStatus(),
+  invitedBy: invitation.invitedBy,
+  expiresAt: invitation.expiresAt,
+  lastSentAt: invitation.lastSentAt,
+  sendCount: invitation.sendCount,
+  acceptedBy: invitation.acceptedBy,
+  acceptedAt: invitation.acceptedAt,
+  revokedAt: invitation.revokedAt,
+  createdAt: invitation.createdAt,
+});
+
+// Whether the user already has access to the case in the given role. Entries
+// listed by email alone are not linked to an account, so they can still be invited.
+const isAlreadyOnCase = (caseItem, role, userId) => {
+  if (!userId) return false;
+  const id = userId.toString();
+  const primary = role === 'lawyer' ? caseItem.lawyer : caseItem.client;
+  const members = role === 'lawyer' ? caseItem.lawyers : caseItem.clients;
+  if (primary && primary.toString() === id) return true;
+  return members.some(m => m.user && m.user.toString() === id);
+};
+
+// Load an invitation belonging to the case in req.resource
+const findCaseInvitation = async (req, next) => {
+  const invitation = await CaseInvitation.findOne({
+    _id: req.params.invitationId,
+    case: req.resource._id,
+  }).select('+tokenJti');
+  if (!invitation) {
+    next(new AppError('Invitation not found', 404));
+    return null;
+  }
+  return invitation;
+};
+
+/**
+ * @desc    Invite a client or co-counsel to a case by email
+ * @route   POST /api/cases/:id/invitations
+ * @access  Private (Case lawyers and firm partners/associates)
+ */
+exports.createInvitation = async (req, res, next) => {
+  try {
+    const { name, role } = req.body;
+    const email = (req.body.email || '').trim().toLowerCase();
+
+    if (!EMAIL_PATTERN.test(email)) {
+      return next(new AppError('Please provide a valid email address', 400));
+    }
+
+    if (!['client', 'lawyer'].includes(role)) {
+      return next(new AppError('Role must be client or lawyer', 400));
+    }
+
+    // Loaded and authorized by checkPermission('case', 'invite')
+    const caseItem = req.resource;
+
+    const existingUser = await User.findOne({ email });
+    if (isAlreadyOnCase(caseItem, role, existingUser && existingUser._id)) {
+      return next(new AppError(`${email} is already on this case`, 400));
+    }
+
+    const pending = await CaseInvitation.findOne({
+      case: caseItem._id,
+      email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+    });
+    if (pending) {
+      return next(new AppError('An invitation is already pending for this email. Resend it instead.', 400));
+    }
+
+    const invitation = new CaseInvitation({
+      case: caseItem._id,
+      email,
+      name,
+      role,
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+    });
+    await sendInvitation(invitation, caseItem, req.user);
+
+    logger.info(`Case invitation sent: Case ID ${caseItem._id}, ${email} as ${role} by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      data: formatInvitation(invitation),
+    });
+  } catch (error) {
+    logger.error(`Error creating case invitation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    List a case's invitations
+ * @route   GET /api/cases/:id/invitations
+ * @access  Private (Case lawyers and firm partners/associates)
+ */
+exports.getInvitations = async (req, res, next) => {
+  try {
+    const invitations = await CaseInvitation.find({ case: req.resource._id })
+      .populate('invitedBy', 'name email')
+      .populate('acceptedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    let data = invitations.map(formatInvitation);
+    if (req.query.status) {
+      data = data.filter(invitation => invitation.status === req.query.status);
+    }
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    logger.error(`Error getting case invitations: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend an invitation with a fresh link and expiry
+ * @route   POST /api/cases/:id/invitations/:invitationId/resend
+ * @access  Private (Case lawyers and firm partners/associates)
+ */
+exports.resendInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findCaseInvitation(req, next);
+    if (!invitation) return;
+
+    if (!['pending', 'expired'].includes(invitation.currentStatus())) {
+      return next(new AppError(`Cannot resend an invitation that is ${invitation.currentStatus()}`, 400));
+    }
+
+    if (invitation.lastSentAt && Date.now() - invitation.lastSentAt.getTime() < RESEND_INTERVAL_MS) {
+      return next(new AppError('Please wait a minute before resending this invitation', 429));
+    }
+
+    invitation.status = 'pending';
+    invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    await sendInvitation(invitation, req.resource, req.user);
+
+    logger.info(`Case invitation resent: ${invitation._id} to ${invitation.email} by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: formatInvitation(invitation),
+    });
+  } catch (error) {
+    logger.error(`Error resending case invitation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/cases/:id/invitations/:invitationId
+ * @access  Private (Case lawyers and firm partners/associates)
+ */
+exports.revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findCaseInvitation(req, next);
+    if (!invitation) return;
+
+    if (invitation.status === 'accepted') {
+      return next(new AppError('This invitation has already been accepted', 400));
+    }
+
+    if (invitation.status !== 'revoked') {
+      invitation.status = 'revoked';
+      invitation.revokedAt = Date.now();
+      invitation.tokenJti = undefined;
+      await invitation.save();
+      logger.info(`Case invitation revoked: ${invitation._id} (${invitation.email}) by ${req.user.id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatInvitation(invitation),
+    });
+  } catch (error) {
+    logger.error(`Error revoking case invitation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Show what an invite link is for, so the app can offer sign-in or sign-up
+ * @route   GET /api/invitations/:token
+ * @access  Public
+ */
+exports.getInvitationByToken = async (req, res, next) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return next(new AppError('Invitation is invalid or has expired', 400));
+    }
+
+    await invitation.populate([
+      { path: 'case', select: 'title' },
+      { path: 'invitedBy', select: 'name' },
+    ]);
+    const hasAccount = !!(await User.exists({ email: invitation.email }));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        caseTitle: invitation.case ? invitation.case.title : null,
+        invitedBy: invitation.invitedBy ? invitation.invitedBy.name : null,
+        expiresAt: invitation.expiresAt,
+        hasAccount,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error getting invitation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept an invitation as the signed-in user
+ * @route   POST /api/invitations/:token/accept
+ * @access  Private
+ */
+exports.acceptInvitation = async (req, res, next) => {
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return next(new AppError('Invitation is invalid or has expired', 400));
+    }
+
+    // Accounts registered before emails were lower-cased may still have capitals
+    if (invitation.email !== String(req.user.email).toLowerCase()) {
+      return next(new AppError('This invitation was sent to a different email address', 403));
+    }
+
+    if (invitation.role === 'lawyer' && req.user.role !== 'lawyer') {
+      return next(new AppError('This invitation is for a lawyer account', 403));
+    }
+
+    // Following the emailed link proves the address belongs to the user
+    if (!req.user.isEmailVerified) {
+      req.user.isEmailVerified = true;
+      await req.user.save({ validateBeforeSave: false });
+    }
+
+    const caseItem = await acceptInvitation(invitation, req.user);
+    if (!caseItem) {
+      return next(new AppError('The case for this invitation no longer exists', 404));
+    }
+
+    logger.info(`Case invitation accepted: ${invitation._id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        caseId: caseItem._id,
+        caseTitle: caseItem.title,
+        role: invitation.role,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error accepting invitation: ${error.message}`);
+    next(error);
+  }
+};
@@ -1,8 +1,28 @@
 const Profile = require('../models/profile.model');
 const User = require('../models/user.model');
+const Session = require('../models/session.model');
+const { issueAuthTokens } = require('../utils/authTokens');
+const { DELETION_GRACE_DAYS, buildDataExport } = require('../utils/personalData');
+const { sendAccountDeletionEmail } = require('../utils/sendgridMailer');
 const AppError = require('../utils/appError');
 const logger = require('../utils/logger');
-const bcrypt = require('bcryptjs');
+const { setPassword, verifyPassword } = require('../utils/passwordService');
+const admin = require('firebase-admin');
+
+// How recently a Google sign-in must have happened to confirm a sensitive action
+const REAUTH_MAX_AGE_SECONDS = 5 * 60;
+
+// Whether a Firebase ID token proves the user signed in with Google just now
+const isFreshGoogleSignIn = async (user, idToken) => {
+  if (!idToken || !user.firebaseUID) return false;
+  try {
+    const decoded = await admin.auth().verifyIdToken(idToken, true);
+    return decoded.uid === user.firebaseUID
+      && Date.now() / 1000 - decoded.auth_time <= REAUTH_MAX_AGE_SECONDS;
+  } catch (error) {
+    return false;
+  }
+};
 
 /**
  * @desc    Get user profile
@@ -60,6 +80,11 @@ exports.updateProfile = async (req, res, next) => {
       email: updateData.email
     };
     
+    // A new address has to be verified again
+    if (updateData.email && updateData.email !== req.user.email) {
+      userUpdateData.isEmailVerified = false;
+    }
+    
     const updatedUser = await User.findByIdAndUpdate(
       req.user.id,
       userUpdateData,
@@ -116,29 +141,36 @@ exports.changePassword = async (req, res, next) => {
     const { currentPassword, newPassword } = req.body;
     
     // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
     
     if (!user) {
       return next(new AppError('User not found', 404));
     }
     
     // Check if current password is correct
-    const isPasswordMatch = await bcrypt.compare(currentPassword, user.password);
+    const isPasswordMatch = await verifyPassword(user, currentPassword);
     
     if (!isPasswordMatch) {
       return next(new AppError('Current password is incorrect', 401));
     }
     
-    // Update password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
+    const passwordErrors = await setPassword(user, newPassword);
+    if (passwordErrors.length) {
+      return next(new AppError(passwordErrors.join('. '), 400));
+    }
     await user.save();
     
+    // Invalidate other sessions and issue fresh tokens for this one
+    await Session.revokeAllForUser(user._id, 'password_changed');
+    const { token, refreshToken } = await issueAuthTokens(user, { req });
+    
     logger.info(`Password changed for user: ${user.email}`);
     
     res.status(200).json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      token,
+      refreshToken
     });
   } catch (error) {
     logger.error(`Error changing password: ${error.message}`);
@@ -180,14 +212,37 @@ exports.updateNotifications = async (req, res, next) => {
  */
 exports.updateSecurity = async (req, res, next) => {
   try {
-    const securitySettings = req.body;
+    const { twoFactorAuth, ...securitySettings } = req.body;
+    
+    // 2FA needs an enrolled authenticator, so it can only be switched through /api/auth/2fa
+    if (twoFactorAuth !== undefined) {
+      const current = await Profile.findOne({ user: req.user.id });
+      const isEnabled = !!(current && current.securitySettings && current.securitySettings.twoFactorAuth);
+      if (!!twoFactorAuth !== isEnabled) {
+        return next(new AppError('Use /api/auth/2fa to enable or disable two-factor authentication', 400));
+      }
+    }
+    
+    // Update individual settings so the 2FA flag is left untouched
+    const update = {};
+    Object.keys(securitySettings).forEach(key => {
+      update[`securitySettings.${key}`] = securitySettings[key];
+    });
     
     const profile = await Profile.findOneAndUpdate(
       { user: req.user.id },
-      { securitySettings },
+      update,
       { new: true, upsert: true, runValidators: true }
     );
     
+    // Apply a new idle timeout to sessions that are already open
+    if (securitySettings.sessionTimeout !== undefined) {
+      await Session.updateMany(
+        { user: req.user.id, revokedAt: null },
+        { idleTimeout: profile.securitySettings.sessionTimeout }
+      );
+    }
+    
     logger.info(`Security settings updated for user: ${req.user.id}`);
     
     res.status(200).json({
@@ -225,4 +280,109 @@ exports.updateAppearance = async (req, res, next) => {
     logger.error(`Error updating appearance settings: ${error.message}`);
     next(error);
   }
-};
\ No newline at end of file
+};
+/**
+ * @desc    Download an archive of the user's personal data
+ * @route   GET /api/profile/export
+ * @access  Private
+ */
+exports.exportData = async (req, res, next) => {
+  try {
+    const archive = await buildDataExport(req.user);
+    const fileName = `adhi-data-export-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    logger.info(`Personal data export generated for user: ${req.user.id}`);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Content-Length': archive.length
+    });
+    res.status(200).send(archive);
+  } catch (error) {
+    logger.error(`Error exporting personal data: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request account deletion after a grace period
+ * @route   POST /api/profile/delete-account
+ * @access  Private
+ */
+exports.requestAccountDeletion = async (req, res, next) => {
+  try {
+    const { password, idToken, confirm } = req.body;
+
+    if (confirm !== 'DELETE') {
+      return next(new AppError('Type DELETE to confirm account deletion', 400));
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+
+    // The access token alone is not enough: confirm with the password, or
+    // with a fresh Google sign-in when the account has no password in use
+    if (password || !user.firebaseUID) {
+      if (!(await verifyPassword(user, password))) {
+        return next(new AppError('Password is incorrect', 401));
+      }
+    } else if (!(await isFreshGoogleSignIn(user, idToken))) {
+      return next(new AppError('Confirm with your password, or sign in with Google again and send the new ID token', 401));
+    }
+
+    if (user.deletionScheduledFor) {
+      return next(new AppError('Account deletion has already been requested', 400));
+    }
+
+    user.deletionRequestedAt = Date.now();
+    user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await user.save({ validateBeforeSave: false });
+
+    try {
+      await sendAccountDeletionEmail(user.email, user.name, user.deletionScheduledFor);
+    } catch (mailError) {
+      // The deletion is scheduled either way; it shows in the account settings
+      logger.error(`Account deletion email error for ${user.email}: ${mailError.message}`);
+    }
+
+    logger.info(`Account deletion requested for user: ${user.email}, scheduled for ${user.deletionScheduledFor.toISOString()}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletionScheduledFor.toISOString()}. You can cancel until then.`,
+      deletionScheduledFor: user.deletionScheduledFor
+    });
+  } catch (error) {
+    logger.error(`Error requesting account deletion: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a pending account deletion
+ * @route   POST /api/profile/delete-account/cancel
+ * @access  Private
+ */
+exports.cancelAccountDeletion = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user.deletionScheduledFor) {
+      return next(new AppError('No account deletion is pending', 400));
+    }
+
+    user.deletionRequestedAt = undefined;
+    user.deletionScheduledFor = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Account deletion cancelled for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    logger.error(`Error cancelling account deletion: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,286 @@
+const User = require('../models/user.model');
+const Profile = require('../models/profile.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
+const bcrypt = require('bcryptjs');
+const { verifyPurposeToken } = require('../utils/jwt');
+const { issueAuthTokens, getLoginBlock } = require('../utils/authTokens');
+const { recordLoginAttempt } = require('../utils/loginAudit');
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpAuthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require('../utils/totp');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Check a TOTP code or a recovery code against the user's second factor.
+// Accepted codes are consumed on the user document; the caller saves it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code, { lastUsedStep: user.twoFactorLastUsedStep });
+    if (step === null) return false;
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const index = (user.twoFactorRecoveryCodes || []).indexOf(hashed);
+    if (index === -1) return false;
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+const setTwoFactorFlag = (userId, enabled) => {
+  return Profile.findOneAndUpdate(
+    { user: userId },
+    { 'securitySettings.twoFactorAuth': enabled },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * @desc    Start 2FA enrolment: generate a secret and otpauth URI
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+exports.setup = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorSecret) {
+      return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpAuthUri(secret, user.email),
+      },
+    });
+  } catch (error) {
+    logger.error(`2FA setup error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrolment with a first code and enable it
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private
+ */
+exports.enable = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorSecret) {
+      return next(new AppError('Two-factor authentication is already enabled', 400));
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return next(new AppError('Start two-factor setup first', 400));
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return next(new AppError('Invalid verification code', 400));
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    await setTwoFactorFlag(user._id, true);
+
+    logger.info(`2FA enabled for user: ${user.email}`);
+
+    // Recovery codes are only ever shown here
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    logger.error(`2FA enable error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable 2FA (requires a code, and the password if the account has its own)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+exports.disable = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user.twoFactorSecret) {
+      return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    // Accounts without a password of their own re-authenticate with the code alone
+    if (!user.passwordless) {
+      const isPasswordMatch = password && await bcrypt.compare(password, user.password);
+      if (!isPasswordMatch) {
+        return next(new AppError('Password is incorrect', 401));
+      }
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      return next(new AppError('Invalid verification code', 401));
+    }
+
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    await setTwoFactorFlag(user._id, false);
+
+    logger.info(`2FA disabled for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    logger.error(`2FA disable error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace recovery codes (requires a current code)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorSecret) {
+      return next(new AppError('Two-factor authentication is not enabled', 400));
+    }
+
+    if (!verifySecondFactor(user, { code })) {
+      return next(new AppError('Invalid verification code', 401));
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    logger.info(`2FA recovery codes regenerated for user: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    logger.error(`2FA recovery code error: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete a login that returned a 2FA challenge
+ * @route   POST /api/auth/2fa/verify
+ * @access  Public
+ */
+exports.verifyLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return next(new AppError('Please provide the challenge token and a verification code', 400));
+    }
+
+    const decoded = verifyPurposeToken(challengeToken, '2fa');
+    if (!decoded) {
+      return next(new AppError('Two-factor challenge expired. Please log in again', 401));
+    }
+
+    const user = await User.findById(decoded.id).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.twoFactorSecret) {
+      return next(new AppError('Two-factor challenge expired. Please log in again', 401));
+    }
+
+    const method = decoded.method || 'password';
+
+    // Guessed codes count towards the same lockout as guessed passwords
+    if (await LoginThrottle.getLockUntil(user.email)) {
+      await recordLoginAttempt(req, { user, method, success: false, failureReason: 'account_locked', twoFactor: true });
+      return next(new AppError('Too many failed login attempts. Please try again later', 429));
+    }
+
+    if (!verifySecondFactor(user, { code, recoveryCode })) {
+      logger.warn(`Failed 2FA verification for user: ${user.email}`);
+      const { lockUntil } = await LoginThrottle.registerFailure(user.email);
+      await recordLoginAttempt(req, {
+        user,
+        method,
+        success: false,
+        failureReason: 'invalid_2fa_code',
+        twoFactor: true,
+        lockedUntil: lockUntil || undefined,
+      });
+      return next(new AppError('Invalid verification code', 401));
+    }
+
+    await LoginThrottle.clear(user.email);
+
+    const block = getLoginBlock(user, method);
+    if (block) {
+      await recordLoginAttempt(req, { user, method, success: false, failureReason: block.reason, twoFactor: true });
+      return next(new AppError(block.message, 403));
+    }
+
+    user.lastLogin = Date.now();
+    await user.save();
+
+    const { token, refreshToken } = await issueAuthTokens(user, { req });
+    await recordLoginAttempt(req, { user, method, success: true, twoFactor: true });
+
+    logger.info(`User logged in with 2FA: ${user.email}`);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    });
+  } catch (error) {
+    logger.error(`2FA verification error: ${error.message}`);
+    next(error);
+  }
+};
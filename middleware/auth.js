@@ -1,12 +1,48 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const RevokedToken = require('../models/revokedToken.model');
+const Session = require('../models/session.model');
+const ApiKey = require('../models/apiKey.model');
+const Impersonation = require('../models/impersonation.model');
+const { isVerificationRequired } = require('../config/verificationPolicy');
+const { auditImpersonatedRequest } = require('../utils/impersonation');
+const { runWithContext } = require('../utils/requestContext');
 const AppError = require('../utils/appError');
+const logger = require('../utils/logger');
 
-// Protect routes - verify token and set req.user
+// Authenticate a request made with an API key (X-API-Key header)
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.findByKey(req.headers['x-api-key']);
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({ 
+      errors: [{ msg: 'Invalid or expired API key' }] 
+    });
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user || !user.isActive) {
+    return res.status(401).json({ 
+      errors: [{ msg: 'Invalid or expired API key' }] 
+    });
+  }
+
+  await apiKey.touch(req.ip);
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Protect routes - verify token (or API key) and set req.user
 exports.protect = async (req, res, next) => {
   try {
     let token;
 
+    // API keys use their own header so they never mix with session tokens
+    if (!req.headers.authorization && req.headers['x-api-key']) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     // Get token from Authorization header, cookies, or query params
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
@@ -26,6 +62,20 @@ exports.protect = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Single-purpose tokens (2FA challenges, email links) are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ 
+        errors: [{ msg: 'Invalid token' }] 
+      });
+    }
+
+    // Check if token was revoked (logout)
+    if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json({ 
+        errors: [{ msg: 'Token has been revoked. Please log in again' }] 
+      });
+    }
+
     // Get user from token
     const user = await User.findById(decoded.id);
     if (!user) {
@@ -34,15 +84,73 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    // Check if account has been deactivated by an administrator
+    if (!user.isActive) {
+      return res.status(401).json({ 
+        errors: [{ msg: 'This account has been deactivated' }] 
+      });
+    }
+
     // Check if user changed password after token was issued
-      /*if (user.changedPasswordAfter(decoded.iat)) {
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ 
+        errors: [{ msg: 'Password changed. Please log in again' }] 
+      });
+    }
+
+    // Check if user logged out everywhere after token was issued
+    if (user.loggedOutAfter(decoded.iat)) {
+      return res.status(401).json({ 
+        errors: [{ msg: 'Session ended. Please log in again' }] 
+      });
+    }
+
+    // Impersonation tokens only work while the impersonation is live and the
+    // admin behind it still is one
+    let impersonation;
+    if (decoded.imp) {
+      impersonation = await Impersonation.findById(decoded.imp);
+      const admin = impersonation && await User.findById(impersonation.admin);
+      if (!impersonation || !impersonation.isActive() || !admin || !admin.isActive || admin.role !== 'admin') {
         return res.status(401).json({ 
-          errors: [{ msg: 'Password changed. Please log in again' }] 
+          errors: [{ msg: 'Impersonation has ended' }] 
         });
       }
-    }*/
-    // Attach user to request
+    }
+
+    // Check the session is still open and has not been idle for too long
+    let session;
+    if (decoded.sid) {
+      session = await Session.findById(decoded.sid);
+      if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        return res.status(401).json({ 
+          errors: [{ msg: 'Session ended. Please log in again' }] 
+        });
+      }
+      if (session.isIdle()) {
+        await session.revoke('idle_timeout');
+        return res.status(401).json({ 
+          errors: [{ msg: 'Session timed out due to inactivity. Please log in again' }] 
+        });
+      }
+      await session.touch();
+    }
+
+    // Attach user, token claims and session to request
     req.user = user;
+    req.token = decoded;
+    req.authSession = session;
+
+    if (impersonation) {
+      req.impersonation = impersonation;
+      auditImpersonatedRequest(req, res);
+      const context = { id: impersonation.id, admin: impersonation.admin, target: impersonation.target };
+      return runWithContext({ impersonation: context }, () => {
+        logger.info(`Impersonated request: ${req.method} ${req.originalUrl}`);
+        next();
+      });
+    }
+
     next();
   } catch (err) {
     console.error(err.message);
@@ -63,3 +171,50 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Require a verified email where the verification policy asks for it
+exports.requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    if (!req.user.isEmailVerified && isVerificationRequired(action, req.user.role)) {
+      return res.status(403).json({ 
+        errors: [{ msg: 'Please verify your email address before continuing' }] 
+      });
+    }
+    next();
+  };
+};
+
+// Require an API key scope. Requests authenticated with a session token
+// carry the user's full permissions and pass through.
+exports.requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({ 
+        errors: [{ msg: `API key is missing the ${scope} scope` }] 
+      });
+    }
+    next();
+  };
+};
+
+// Reject API keys on routes meant for interactive sessions only
+// (account, security, administration)
+exports.sessionOnly = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ 
+      errors: [{ msg: 'API keys cannot be used for this route' }] 
+    });
+  }
+  next();
+};
+
+// Reject requests made while an admin is impersonating the user
+// (passwords, 2FA, deleting cases and other irreversible account changes)
+exports.noImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({ 
+      errors: [{ msg: 'This action is not available while impersonating a user' }] 
+    });
+  }
+  next();
+};
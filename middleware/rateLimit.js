@@ -0,0 +1,43 @@
+// middleware/rateLimit.js
+const rateLimit = require('express-rate-limit');
+const logger = require('../utils/logger');
+
+const limitHandler = (req, res, next, options) => {
+  logger.warn(`Rate limit exceeded for IP ${req.ip} on ${req.originalUrl}`);
+  res.status(options.statusCode).json({
+    status: 'fail',
+    message: options.message,
+  });
+};
+
+// General per-IP limit for everything under /api/auth
+exports.authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many requests from this IP, please try again later',
+  handler: limitHandler,
+});
+
+// Stricter per-IP limit for credential and token guessing endpoints.
+// Only failed requests count, so a busy office behind one IP isn't blocked.
+exports.credentialLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+  message: 'Too many failed attempts from this IP, please try again later',
+  handler: limitHandler,
+});
+
+// Limit on sign-in links requested per IP, so the endpoint can't be used to flood inboxes
+exports.magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many sign-in links requested from this IP, please try again later',
+  handler: limitHandler,
+});
@@ -2,6 +2,14 @@
 const Case = require('../models/case.model');
 const Document = require('../models/document.model');
 const Event = require('../models/event.model');
+const AppError = require('../utils/appError');
+const { checkAccess } = require('../utils/policy');
+
+const RESOURCES = {
+  case: { model: Case, label: 'Case' },
+  document: { model: Document, label: 'Document' },
+  event: { model: Event, label: 'Event' }
+};
 
 // Higher-order function for role authorization
 exports.authorize = (...allowedRoles) => {
@@ -17,49 +25,27 @@ exports.authorize = (...allowedRoles) => {
   };
 };
 
-// Resource ownership checker
-exports.checkOwnership = (model) => {
+// Load the record named by :id and check the action against config/policies.js.
+// The loaded record is available to the controller as req.resource.
+exports.checkPermission = (type, action) => {
+  const { model, label } = RESOURCES[type];
+
   return async (req, res, next) => {
     try {
       const resource = await model.findById(req.params.id);
-      
-      if (!resource) {
-        return res.status(404).json({
-          errors: [{ msg: 'Resource not found' }]
-        });
-      }
 
-      // Check ownership based on model type
-      let isOwner = false;
-      
-      if (model.modelName === 'Case') {
-        isOwner = resource.user.equals(req.user._id) || 
-                 resource.lawyers.includes(req.user._id);
-      } 
-      else if (model.modelName === 'Document') {
-        isOwner = resource.owner.equals(req.user._id) ||
-                 resource.accessibleTo.some(a => a.user.equals(req.user._id));
-      }
-      else if (model.modelName === 'Event') {
-        isOwner = resource.createdBy.equals(req.user._id) ||
-                 resource.participants.some(p => p.user.equals(req.user._id));
-      }
-      else {
-        // Default ownership check
-        isOwner = resource.user.equals(req.user._id);
+      if (!resource) {
+        return next(new AppError(`${label} not found`, 404));
       }
 
-      if (!isOwner) {
-        return res.status(403).json({
-          errors: [{ msg: 'Not authorized to access this resource' }]
-        });
+      if (!(await checkAccess(req, action, type, resource))) {
+        return next(new AppError(`Not authorized to ${action} this ${type}`, 403));
       }
 
       req.resource = resource;
       next();
     } catch (err) {
-      console.error(err.message);
-      res.status(500).json({ errors: [{ msg: 'Server error' }] });
+      next(err);
     }
   };
-};
\ No newline at end of file
+};
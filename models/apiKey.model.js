@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_SCOPES } = require('../config/apiScopes');
+
+const KEY_PREFIX = 'adhi_';
+
+// Hash a raw API key; only the hash is stored
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Long-lived, scoped credentials for scripts and integrations
+const ApiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  // First characters of the key, shown in listings so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ApiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Record usage, writing at most once a minute
+ApiKeySchema.methods.touch = async function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt.getTime() < 60 * 1000) return;
+  this.lastUsedAt = Date.now();
+  this.lastUsedIp = ip;
+  await this.constructor.updateOne({ _id: this._id }, { lastUsedAt: this.lastUsedAt, lastUsedIp: ip });
+};
+
+// Create a key for a user. The raw key is returned once and never stored.
+ApiKeySchema.statics.generate = async function(userId, { name, scopes, expiresAt }) {
+  const key = KEY_PREFIX + crypto.randomBytes(30).toString('base64url');
+  const apiKey = await this.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    scopes,
+    expiresAt
+  });
+  return { apiKey, key };
+};
+
+ApiKeySchema.statics.findByKey = function(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+  return this.findOne({ keyHash: hashKey(key) });
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -1,4 +1,15 @@
 const mongoose = require("mongoose");
+const { identifyCase } = require("../utils/caseNumber");
+const { CASE_OUTCOMES } = require("../config/caseWorkflow");
+
+// Components of a parsed filing or registration number
+const NumberPartsSchema = new mongoose.Schema({
+  code: { type: String },
+  number: { type: Number },
+  year: { type: Number },
+  // e.g. "OS/1234/2024", the same however the number was typed
+  normalized: { type: String },
+}, { _id: false });
 
 const CaseSchema = new mongoose.Schema(
   {
@@ -9,12 +20,27 @@ const CaseSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, "Title cannot exceed 100 characters"],
     },
+    // Registration number, e.g. "O.S. 1234/2024". Not unique: the same
+    // number exists in different courts, and in both sides' workspaces.
     caseNumber: {
       type: String,
       required: [true, "Case number is required"],
-      unique: true,
+      trim: true,
       index: true
     },
+    caseNumberParts: NumberPartsSchema,
+    filingNumber: {
+      type: String,
+      trim: true,
+    },
+    filingNumberParts: NumberPartsSchema,
+    // 16-character eCourts Case Number Record
+    cnrNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      index: true,
+    },
     caseType: {
       type: String,
       required: [true, "Case type is required"],
@@ -160,6 +186,8 @@ const CaseSchema = new mongoose.Schema(
     clients: [
       {
         _id: false, // No separate _id for subdocuments
+        // Linked account, when the client has one
+        user: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
         name: { type: String, required: true, trim: true },
         email: { type: String, trim: true, lowercase: true },
         contact: { type: String, trim: true },
@@ -194,6 +222,21 @@ const CaseSchema = new mongoose.Schema(
       default: "filing",
       enum: ["filing", "pre_trial", "trial", "evidence", "arguments", "judgment", "execution", "appeal"],
     },
+    // Time spent in each stage; the open entry is the current stage.
+    // Moves go through the workflow in utils/caseWorkflow.
+    stageHistory: [{
+      _id: false,
+      stage: { type: String, required: true },
+      enteredAt: { type: Date, required: true },
+      exitedAt: { type: Date },
+      enteredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      note: { type: String },
+    }],
+    // How the case ended; required to close it
+    outcome: {
+      type: String,
+      enum: CASE_OUTCOMES,
+    },
     actSections: {
       type: String,
     },
@@ -275,6 +318,90 @@ const CaseSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // Firm that owns the case; all firm members can see it
+    firm: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Firm",
+      index: true,
+    },
+    // Conflict-of-interest check the case was opened on, if one was run
+    conflictCheck: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ConflictCheck",
+    },
+    // Firm template the case was opened from, and what it set up
+    template: {
+      template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CaseTemplate",
+      },
+      key: { type: mongoose.Schema.Types.ObjectId },
+      version: { type: Number },
+      name: { type: String },
+    },
+    // Documents the case needs, by Document.category
+    documentChecklist: [{
+      _id: false,
+      category: { type: String, required: true },
+      label: { type: String, required: true },
+      required: { type: Boolean, default: true },
+    }],
+    // Expected stages in order, with the date each should be finished by
+    stagePlan: [{
+      _id: false,
+      stage: { type: String, required: true },
+      label: { type: String },
+      expectedDays: { type: Number },
+      dueDate: { type: Date },
+    }],
+    // Earlier matters this case continues or is connected with; the reverse
+    // direction is found by querying links.case. See utils/caseLinks.
+    links: [{
+      case: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Case",
+        required: true,
+      },
+      type: {
+        type: String,
+        enum: ["appeal_of", "revision_of", "execution_of", "connected_with", "transferred_from"],
+        required: true,
+      },
+      note: {
+        type: String,
+        trim: true,
+      },
+      addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    // Explicit grants to users outside the case team
+    accessibleTo: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+      },
+      permission: {
+        type: String,
+        enum: ["view", "edit"],
+        default: "view",
+      },
+      grantedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      grantedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
     documents: [{
       type: mongoose.Schema.Types.ObjectId,
       ref: "Document",
@@ -308,11 +435,48 @@ CaseSchema.virtual("hearingCount").get(function () {
   return this.events?.filter((e) => e.type === "hearing").length || 0;
 });
 
-// Auto-generate case number if not provided
+const IDENTIFIER_FIELDS = ["caseNumber", "filingNumber", "cnrNumber", "courtType"];
+
+// Parse case identifiers into their searchable components
+CaseSchema.pre("validate", function (next) {
+  if (IDENTIFIER_FIELDS.some(field => this.isModified(field))) {
+    const { errors, values } = identifyCase(this);
+    if (errors.length > 0) {
+      const error = new mongoose.Error.ValidationError(this);
+      error.addError("caseNumber", new mongoose.Error.ValidatorError({
+        path: "caseNumber",
+        message: errors.join("; "),
+        value: this.caseNumber,
+      }));
+      return next(error);
+    }
+    this.set(values);
+  }
+  next();
+});
+
+// Keep the parsed components in step when identifiers change through an update
+CaseSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...update.$set };
+  Object.keys(update.$unset || {}).forEach(field => { changes[field] = null; });
+  if (!IDENTIFIER_FIELDS.some(field => field in changes)) return;
+
+  const current = await this.model.findOne(this.getQuery())
+    .select(IDENTIFIER_FIELDS.join(" "))
+    .lean();
+  const { values } = identifyCase({ ...current, ...changes });
+  this.set(values);
+});
+
+// Start the stage history of a new case
 CaseSchema.pre("save", function (next) {
-  if (!this.caseNumber) {
-    const prefix = this.courtType ? this.courtType.substring(0, 3).toUpperCase() : "GEN";
-    this.caseNumber = `${prefix}-${Date.now().toString().slice(-6)}`;
+  if (this.isNew && this.stageHistory.length === 0) {
+    this.stageHistory.push({
+      stage: this.caseStage,
+      enteredAt: this.createdAt,
+      ...(this.status === "closed" && { exitedAt: this.createdAt }),
+    });
   }
   next();
 });
@@ -340,6 +504,7 @@ CaseSchema.post("save", async function(doc) {
         case: doc._id,
         caseTitle: doc.title,
         caseNumber: doc.caseNumber,
+        firm: doc.firm,
         location: doc.court || 'Court',
         createdBy: doc.creator || doc.lawyer || doc.client,
         status: 'scheduled',
@@ -392,6 +557,7 @@ CaseSchema.post("findOneAndUpdate", async function(doc) {
           case: doc._id,
           caseTitle: doc.title,
           caseNumber: doc.caseNumber,
+          firm: doc.firm,
           location: doc.court || 'Court',
           createdBy: doc.creator || doc.lawyer || doc.client,
           status: 'scheduled',
@@ -416,6 +582,10 @@ CaseSchema.post("findOneAndUpdate", async function(doc) {
 // Indexes for better query performance
 CaseSchema.index({ status: 1, hearingDate: 1 });
 CaseSchema.index({ lawyer: 1, isUrgent: 1 });
+CaseSchema.index({ "accessibleTo.user": 1 });
+CaseSchema.index({ "links.case": 1 });
+CaseSchema.index({ "caseNumberParts.normalized": 1, courtType: 1 });
+CaseSchema.index({ "filingNumberParts.normalized": 1, courtType: 1 });
 CaseSchema.index({ title: "text", description: "text", caseNumber: "text" });
 
 module.exports = mongoose.model("Case", CaseSchema);
\ No newline at end of file
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Changes made to a case, one entry per kind of change (stage, status, team...)
+// so each reads as a single line on the case timeline. Every change keeps the
+// whole before and after value of its field, so any one field can be reverted.
+const CaseHistorySchema = new mongoose.Schema({
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['created', 'stage', 'status', 'party', 'team', 'client', 'hearing', 'links', 'details'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    from: { type: mongoose.Schema.Types.Mixed },
+    to: { type: mongoose.Schema.Types.Mixed },
+    // For list fields: which entries were added, removed or changed
+    items: { type: mongoose.Schema.Types.Mixed }
+  }],
+  // Set when this change undid a field from an earlier entry
+  revertOf: {
+    history: { type: mongoose.Schema.Types.ObjectId, ref: 'CaseHistory' },
+    field: { type: String }
+  },
+  // Set when the change came from recording this hearing
+  hearing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hearing'
+  },
+  // Unset for changes made by the system
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorName: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CaseHistorySchema.index({ case: 1, createdAt: -1 });
+CaseHistorySchema.index({ case: 1, category: 1, createdAt: -1 });
+CaseHistorySchema.index({ case: 1, 'changes.field': 1, createdAt: -1 });
+
+module.exports = mongoose.model('CaseHistory', CaseHistorySchema);
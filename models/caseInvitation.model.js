@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// Invitation for someone (with or without an account) to join a case as a
+// client or as co-counsel
+const CaseInvitationSchema = new mongoose.Schema({
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Invitee email is required'],
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['client', 'lawyer'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  // jti of the most recently sent link; resending replaces it so older links stop working
+  tokenJti: {
+    type: String,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: {
+    type: Date
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acceptedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+CaseInvitationSchema.index({ case: 1, email: 1, status: 1 });
+
+CaseInvitationSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+// Pending invitations past their expiry are reported as expired
+CaseInvitationSchema.methods.currentStatus = function() {
+  return this.status === 'pending' && this.isExpired() ? 'expired' : this.status;
+};
+
+module.exports = mongoose.model('CaseInvitation', CaseInvitationSchema);
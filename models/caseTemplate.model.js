@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const Case = require('./case.model');
+const Document = require('./document.model');
+const Event = require('./event.model');
+
+const enumOf = (model, path) => model.schema.path(path).enumValues;
+
+// Hearings come from the hearing register, so templates can't schedule them
+const TEMPLATE_EVENT_TYPES = enumOf(Event, 'type').filter(type => type !== 'hearing');
+
+// A firm's starting point for a kind of case. Each edit saves a new version
+// document; every version of one template shares its `key` (the first
+// version's _id), and cases record the exact version they were opened from.
+const CaseTemplateSchema = new mongoose.Schema({
+  key: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true
+  },
+  caseType: {
+    type: String,
+    enum: enumOf(Case, 'caseType'),
+    required: [true, 'Case type is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Case fields filled in when the new case doesn't give them
+  prefill: {
+    description: { type: String },
+    courtType: { type: String, enum: enumOf(Case, 'courtType') },
+    courtState: { type: String, enum: enumOf(Case, 'courtState') },
+    district: { type: String, enum: enumOf(Case, 'district') },
+    bench: { type: String, enum: enumOf(Case, 'bench') },
+    court: { type: String },
+    courtComplex: { type: String },
+    priority: { type: String, enum: enumOf(Case, 'priority') },
+    actSections: { type: String },
+    reliefSought: { type: String },
+    notes: { type: String }
+  },
+  // Documents the case needs, matched against Document.category
+  documentChecklist: [{
+    _id: false,
+    category: { type: String, enum: enumOf(Document, 'category'), required: true },
+    label: { type: String, required: true, trim: true },
+    required: { type: Boolean, default: true }
+  }],
+  // Expected stages in order, with how long each usually takes
+  stagePlan: [{
+    _id: false,
+    stage: { type: String, enum: enumOf(Case, 'caseStage'), required: true },
+    label: { type: String, trim: true },
+    expectedDays: { type: Number, min: 0 }
+  }],
+  // Events created with the case, dated relative to its creation or filing date
+  events: [{
+    _id: false,
+    title: { type: String, required: true, trim: true },
+    type: { type: String, enum: TEMPLATE_EVENT_TYPES, default: 'case_filing' },
+    offsetDays: { type: Number, required: true, min: 0 },
+    from: { type: String, enum: ['created', 'filing'], default: 'created' },
+    durationMinutes: { type: Number, min: 1, default: 60 },
+    priority: { type: String, enum: ['low', 'medium', 'high', 'critical'], default: 'medium' },
+    description: { type: String }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set on a version once a newer one replaces it
+  supersededAt: {
+    type: Date,
+    default: null
+  },
+  // Set on the current version when the template is withdrawn
+  archivedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+CaseTemplateSchema.index({ key: 1, version: 1 }, { unique: true });
+CaseTemplateSchema.index({ firm: 1, caseType: 1, supersededAt: 1 });
+
+// Fields copied from one version to the next
+const CONTENT_FIELDS = ['caseType', 'name', 'description', 'prefill', 'documentChecklist', 'stagePlan', 'events'];
+
+// The template's content, without version bookkeeping
+CaseTemplateSchema.methods.toContent = function() {
+  const plain = this.toObject();
+  return CONTENT_FIELDS.reduce((content, field) => {
+    content[field] = plain[field];
+    return content;
+  }, {});
+};
+
+// The content fields present in a request body
+CaseTemplateSchema.statics.pickContent = function(body) {
+  return CONTENT_FIELDS.reduce((content, field) => {
+    if (body[field] !== undefined) content[field] = body[field];
+    return content;
+  }, {});
+};
+
+// Get the current version of a template
+CaseTemplateSchema.statics.findCurrent = function(key) {
+  return this.findOne({ key, supersededAt: null });
+};
+
+// Get the firm's template for a case type, if it has one in use
+CaseTemplateSchema.statics.findForCaseType = function(firmId, caseType) {
+  return this.findOne({ firm: firmId, caseType, supersededAt: null, archivedAt: null });
+};
+
+module.exports = mongoose.model('CaseTemplate', CaseTemplateSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// A conflict-of-interest search run before taking on a matter, kept as a
+// record of what was checked, what was found and who decided to proceed
+const ConflictCheckSchema = new mongoose.Schema({
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm'
+  },
+  subjects: [{
+    _id: false,
+    name: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    phone: { type: String, trim: true },
+    role: { type: String }
+  }],
+  hits: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['clear', 'conflicts', 'overridden'],
+    required: true
+  },
+  // Required before a case can be opened despite conflicts
+  override: {
+    justification: { type: String, trim: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date }
+  },
+  // Case opened on the strength of this check
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Whether a case may be opened on the strength of this check
+ConflictCheckSchema.methods.allowsIntake = function () {
+  return !this.case && (this.status === 'clear' || this.status === 'overridden');
+};
+
+module.exports = mongoose.model('ConflictCheck', ConflictCheckSchema);
@@ -85,6 +85,11 @@ const DocumentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Copied from the case so firm-wide queries don't need a join
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm'
+  },
   uploadedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -202,6 +207,7 @@ DocumentSchema.index({ name: 'text', description: 'text', tags: 'text' });
 DocumentSchema.index({ case: 1 });
 DocumentSchema.index({ uploadedBy: 1 });
 DocumentSchema.index({ owner: 1 });
+DocumentSchema.index({ firm: 1 });
 DocumentSchema.index({ status: 1 });
 DocumentSchema.index({ createdAt: -1 });
 DocumentSchema.index({ isConfidential: 1 });
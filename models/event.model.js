@@ -100,6 +100,11 @@ const EventSchema = new mongoose.Schema({
     type: String
     // Removed required to avoid validation errors
   },
+  // Firm that owns the event (from its case, or the creator's firm)
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm'
+  },
 
   // Participants
   createdBy: {
@@ -203,6 +208,7 @@ EventSchema.index({ type: 1 });
 EventSchema.index({ status: 1 });
 EventSchema.index({ case: 1 });
 EventSchema.index({ createdBy: 1 });
+EventSchema.index({ firm: 1 });
 EventSchema.index({ 'participants.user': 1 });
 
 // Static method for calendar view
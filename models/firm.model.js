@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const FirmSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Firm name is required'],
+    trim: true,
+    maxlength: [150, 'Firm name cannot exceed 150 characters']
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['partner', 'associate', 'clerk'],
+      default: 'associate'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user belongs to at most one firm
+FirmSchema.index({ 'members.user': 1 }, { unique: true, sparse: true });
+
+FirmSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Get a member's firm role, or null if the user is not a member
+FirmSchema.methods.getMemberRole = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+FirmSchema.methods.partnerCount = function() {
+  return this.members.filter(m => m.role === 'partner').length;
+};
+
+// Get the firm a user belongs to
+FirmSchema.statics.findByMember = function(userId) {
+  return this.findOne({ 'members.user': userId });
+};
+
+module.exports = mongoose.model('Firm', FirmSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Invitation for a lawyer to join a firm. Membership starts only when the
+// invitee accepts, since every case they open afterwards belongs to the firm.
+const FirmInvitationSchema = new mongoose.Schema({
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ['partner', 'associate', 'clerk'],
+    default: 'associate'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+FirmInvitationSchema.index({ firm: 1, user: 1, status: 1 });
+
+FirmInvitationSchema.methods.isExpired = function() {
+  return this.expiresAt <= new Date();
+};
+
+// Pending invitations past their expiry are reported as expired
+FirmInvitationSchema.methods.currentStatus = function() {
+  return this.status === 'pending' && this.isExpired() ? 'expired' : this.status;
+};
+
+module.exports = mongoose.model('FirmInvitation', FirmInvitationSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// One appearance before the court and what came of it. The calendar side of
+// a hearing is its Event; this is the register entry with the order details.
+const HearingSchema = new mongoose.Schema({
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Case',
+    required: true
+  },
+  // Calendar event for this hearing, closed when the outcome is recorded
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  date: {
+    type: Date,
+    required: [true, 'Hearing date is required']
+  },
+  bench: {
+    type: String,
+    trim: true
+  },
+  judge: {
+    type: String,
+    trim: true
+  },
+  courtHall: {
+    type: String,
+    trim: true
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Purpose cannot exceed 200 characters']
+  },
+  summary: {
+    type: String,
+    maxlength: [5000, 'Summary cannot exceed 5000 characters']
+  },
+  outcome: {
+    type: String,
+    enum: ['adjourned', 'heard', 'reserved', 'disposed'],
+    required: [true, 'Hearing outcome is required']
+  },
+  nextDate: {
+    type: Date
+  },
+  nextPurpose: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Purpose cannot exceed 200 characters']
+  },
+  // Event created for the next date
+  nextEvent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  firm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Firm'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+HearingSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+HearingSchema.index({ case: 1, date: -1 });
+
+module.exports = mongoose.model('Hearing', HearingSchema);
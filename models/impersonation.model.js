@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// An administrator acting as another user for support. Access tokens for it
+// carry the target as `id` and the admin as `act`, and stop working once the
+// impersonation ends or expires.
+const ImpersonationSchema = new mongoose.Schema({
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Why support needed to see the account, e.g. a ticket reference
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date
+  },
+  endedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actionCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ImpersonationSchema.methods.isActive = function () {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+ImpersonationSchema.methods.end = function (userId) {
+  this.endedAt = Date.now();
+  this.endedBy = userId;
+  return this.save();
+};
+
+module.exports = mongoose.model('Impersonation', ImpersonationSchema);
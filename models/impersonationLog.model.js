@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Audit trail: one entry per request made during an impersonation
+const ImpersonationLogSchema = new mongoose.Schema({
+  impersonation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Impersonation',
+    required: true,
+    index: true
+  },
+  admin: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number
+  },
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ImpersonationLog', ImpersonationLogSchema);
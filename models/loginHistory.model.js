@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One entry per login attempt, successful or not
+const LoginHistorySchema = new mongoose.Schema({
+  // Unset when the email does not belong to an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'google', 'magic_link'],
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['invalid_credentials', 'invalid_2fa_code', 'invalid_google_token', 'account_locked', 'account_deactivated', 'password_reset_required', 'password_expired', 'invalid_magic_link']
+  },
+  // Set when this failure locked the account
+  lockedUntil: {
+    type: Date
+  },
+  twoFactor: {
+    type: Boolean,
+    default: false
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  // First successful login from this browser or IP address
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+LoginHistorySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoginHistory', LoginHistorySchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Progressive lockout settings
+const MAX_FAILED_ATTEMPTS = 5;
+const BASE_LOCK_TIME = 60 * 1000; // 1 minute, doubled for every further failure
+const MAX_LOCK_TIME = 24 * 60 * 60 * 1000; // 24 hours
+const FAILURE_WINDOW = 24 * 60 * 60 * 1000; // failures older than this are forgotten
+
+// Failed password logins per email address. Keyed on the email rather than the
+// user so addresses without an account lock out the same way, and responses
+// don't reveal which emails are registered.
+const LoginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  }
+});
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const normalizeKey = (email) => String(email).trim().toLowerCase();
+
+// Return the lock expiry if the email is currently locked out, otherwise null
+LoginThrottleSchema.statics.getLockUntil = async function(email) {
+  const throttle = await this.findOne({ key: normalizeKey(email) });
+  if (!throttle || !throttle.lockUntil || throttle.lockUntil <= new Date()) return null;
+  return throttle.lockUntil;
+};
+
+// Count a failed attempt; locks the email once the limit is reached, with the
+// lock doubling in length for every failure after that
+LoginThrottleSchema.statics.registerFailure = async function(email) {
+  const key = normalizeKey(email);
+  const now = Date.now();
+
+  // Start counting afresh if the last failure is old
+  await this.updateOne(
+    { key, lastFailedAt: { $lt: new Date(now - FAILURE_WINDOW) } },
+    { failedAttempts: 0 }
+  );
+
+  const throttle = await this.findOneAndUpdate(
+    { key },
+    { $inc: { failedAttempts: 1 }, $set: { lastFailedAt: now } },
+    { new: true, upsert: true }
+  );
+
+  let lockUntil = null;
+  if (throttle.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    const lockTime = Math.min(
+      BASE_LOCK_TIME * 2 ** (throttle.failedAttempts - MAX_FAILED_ATTEMPTS),
+      MAX_LOCK_TIME
+    );
+    lockUntil = new Date(now + lockTime);
+  }
+
+  throttle.lockUntil = lockUntil;
+  throttle.expiresAt = new Date(Math.max(now + FAILURE_WINDOW, lockUntil ? lockUntil.getTime() : 0));
+  await throttle.save();
+
+  return { failedAttempts: throttle.failedAttempts, lockUntil };
+};
+
+// Forget failures and lift any lock (successful login, unlock, password reset)
+LoginThrottleSchema.statics.clear = function(email) {
+  return this.deleteOne({ key: normalizeKey(email) });
+};
+
+module.exports = mongoose.model('LoginThrottle', LoginThrottleSchema);
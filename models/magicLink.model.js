@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Links expire quickly; they are as good as a password while they live
+const MAGIC_LINK_TTL = 15 * 60 * 1000; // 15 minutes
+const MAX_NONCE_FAILURES = 5;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Single-use passwordless login links. Only hashes are stored: the token goes
+// out in the email, the nonce stays with the browser that asked for the link,
+// and both have to be presented together to sign in.
+const MagicLinkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonceHash: {
+    type: String,
+    required: true
+  },
+  // Wrong nonces presented with this token; the link dies after too many
+  nonceFailures: {
+    type: Number,
+    default: 0
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+MagicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Create a link for a user, replacing any unused ones they still have
+ * @param {Object} user - User document
+ * @param {string} nonce - Nonce held by the requesting browser
+ * @param {Object} [meta] - ip and userAgent of the request
+ * @returns {Promise<string>} The plain token to email
+ */
+MagicLinkSchema.statics.issue = async function(user, nonce, { ip, userAgent } = {}) {
+  await this.deleteMany({ user: user._id, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: user._id,
+    tokenHash: hash(token),
+    nonceHash: hash(nonce),
+    ip,
+    userAgent,
+    expiresAt: new Date(Date.now() + MAGIC_LINK_TTL)
+  });
+
+  return token;
+};
+
+// Links sent to a user since the given time, used to throttle requests per account
+MagicLinkSchema.statics.countSince = function(userId, since) {
+  return this.countDocuments({ user: userId, createdAt: { $gte: since } });
+};
+
+/**
+ * Consume a link. Succeeds once, and only with the nonce of the browser that
+ * requested it; repeated wrong nonces burn the link.
+ * @param {string} token - Token from the emailed link
+ * @param {string} nonce - Nonce presented by the browser
+ * @returns {Promise<Object|null>} The consumed link, or null
+ */
+MagicLinkSchema.statics.consume = async function(token, nonce) {
+  const tokenHash = hash(token);
+  const link = await this.findOne({ tokenHash, usedAt: null, expiresAt: { $gt: new Date() } });
+  if (!link) return null;
+
+  const expected = Buffer.from(link.nonceHash, 'hex');
+  const given = Buffer.from(hash(nonce), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    link.nonceFailures += 1;
+    if (link.nonceFailures >= MAX_NONCE_FAILURES) {
+      link.usedAt = Date.now();
+    }
+    await link.save();
+    return null;
+  }
+
+  // Guard against two requests racing to use the same link
+  return this.findOneAndUpdate(
+    { _id: link._id, usedAt: null },
+    { usedAt: Date.now() },
+    { new: true }
+  );
+};
+
+MagicLinkSchema.statics.TTL = MAGIC_LINK_TTL;
+
+module.exports = mongoose.model('MagicLink', MagicLinkSchema);
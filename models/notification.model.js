@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 
 const NotificationSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  type: { type: String, enum: ['case', 'event', 'document', 'other'], required: true },
+  type: { type: String, enum: ['case', 'event', 'document', 'security', 'other'], required: true },
   message: { type: String, required: true },
   link: { type: String }, // e.g., /dashboard/cases/123
   read: { type: Boolean, default: false },
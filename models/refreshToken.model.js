@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { generateRefreshToken, decodeToken } = require('../utils/jwt');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  // Token identifier (the `jti` claim of the signed refresh token)
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Every token produced by rotating a login's refresh token shares its family
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  rotatedAt: { type: Date },
+  replacedBy: { type: String },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB purge expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Sign a refresh token for the user and persist its jti
+RefreshTokenSchema.statics.issue = async function(user, family) {
+  const token = generateRefreshToken(user, family);
+  const { payload } = decodeToken(token);
+
+  await this.create({
+    jti: payload.jti,
+    user: user._id,
+    family: payload.family,
+    expiresAt: new Date(payload.exp * 1000)
+  });
+
+  return token;
+};
+
+// Revoke every live token in a family
+RefreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+// Revoke every live token belonging to a user
+RefreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
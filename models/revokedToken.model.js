@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Access tokens revoked before their natural expiry, keyed on the `jti` claim
+const RevokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String
+  },
+  // Same as the token's `exp`; the entry is useless once the token has expired anyway
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Revoke a decoded access token
+RevokedTokenSchema.statics.revoke = function(decoded, reason) {
+  return this.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.id,
+        reason,
+        expiresAt: new Date(decoded.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+RevokedTokenSchema.statics.isRevoked = async function(jti) {
+  return !!(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. Its id is the refresh token family and the `sid` claim
+// of every access token issued for it.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  // Idle timeout in minutes, copied from Profile.securitySettings.sessionTimeout
+  idleTimeout: {
+    type: Number,
+    default: 30
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  },
+  // Pushed forward every time the refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if the session has been inactive for longer than its idle timeout
+SessionSchema.methods.isIdle = function () {
+  return Date.now() - this.lastSeenAt.getTime() > this.idleTimeout * 60 * 1000;
+};
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date() && !this.isIdle();
+};
+
+// End the session and its refresh token chain
+SessionSchema.methods.revoke = async function (reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  await this.save();
+  await mongoose.model('RefreshToken').revokeFamily(this.id, reason);
+};
+
+// Record activity, writing at most once a minute to keep requests cheap
+SessionSchema.methods.touch = async function () {
+  if (Date.now() - this.lastSeenAt.getTime() < 60 * 1000) return;
+  this.lastSeenAt = Date.now();
+  await this.constructor.updateOne({ _id: this._id }, { lastSeenAt: this.lastSeenAt });
+};
+
+// Revoke every live session belonging to a user
+SessionSchema.statics.revokeAllForUser = async function (userId, reason) {
+  await this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: reason }
+  );
+  await mongoose.model('RefreshToken').revokeAllForUser(userId, reason);
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
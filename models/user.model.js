@@ -1,35 +1,67 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { isHash } = require('../utils/passwordService');
 
 const UserSchema = new mongoose.Schema({
   email: {
     type: String,
     required: [true, 'Please provide an email'],
     unique: true,
+    // Stored and looked up in lower case; see scripts/lowercase_user_emails.js
+    lowercase: true,
+    trim: true,
     match: [
       /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
       'Please provide a valid email'
     ]
   },
+  // bcrypt hash, set through utils/passwordService which applies the password policy
   password: {
     type: String,
     required: [true, 'Please provide a password'],
-    minlength: 6,
     select: false
   },
+  // Hashes of previous passwords, newest first, to stop them being reused
+  passwordHistory: { type: [String], select: false },
+  // The password is a random one nobody knows (Google sign-ups) until the user sets their own
+  passwordless: { type: Boolean, default: false },
   name: {
     type: String,
     required: [true, 'Please provide your name']
   },
   role: {
     type: String,
-    enum: ['client', 'lawyer'],
+    enum: ['client', 'lawyer', 'admin'],
     default: 'client'
   },
+  // Deactivated accounts cannot log in or use existing tokens
+  isActive: { type: Boolean, default: true, index: true },
+  deactivatedAt: { type: Date },
+  deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deactivationReason: { type: String },
+  // Account deletion (DPDP erasure requests): personal data is anonymised once
+  // the grace period ends, unless the user cancels first
+  deletionRequestedAt: { type: Date },
+  deletionScheduledFor: { type: Date, index: true },
+  deletedAt: { type: Date },
+  // Set by an administrator; login is refused until the password is reset
+  passwordResetRequired: { type: Boolean, default: false },
   firebaseUID: { type: String },
   isEmailVerified: { type: Boolean, default: false },
+  emailVerificationSentAt: { type: Date },
+  emailVerificationSendCount: { type: Number, default: 0 },
   lastLogin: { type: Date },
+  passwordChangedAt: { type: Date },
+  passwordResetToken: { type: String, select: false },
+  passwordResetExpires: { type: Date, select: false },
+  tokensRevokedAt: { type: Date },
+  // Two-factor authentication (enabled flag lives in Profile.securitySettings.twoFactorAuth)
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  twoFactorRecoveryCodes: { type: [String], select: false },
+  twoFactorLastUsedStep: { type: Number, select: false },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 }, {
@@ -45,11 +77,12 @@ UserSchema.virtual('profile', {
   justOne: true
 });
 
-// Password hash
-UserSchema.pre('save', async function (next) {
-  if (!this.isModified('password')) return next();
-  const salt = await bcrypt.genSalt(10);
-  this.password = await bcrypt.hash(this.password, salt);
+// Passwords are hashed once, by the password service. Refuse anything else
+// so a plain-text password can never be stored by mistake.
+UserSchema.pre('save', function (next) {
+  if (this.isModified('password') && !isHash(this.password)) {
+    return next(new Error('Passwords must be set through the password service'));
+  }
   next();
 });
 
@@ -64,6 +97,31 @@ UserSchema.methods.comparePassword = function (candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a single-use password reset token. Only its hash is stored;
+// the plain token is returned so it can be emailed.
+UserSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = Date.now() + 30 * 60 * 1000; // 30 minutes
+
+  return resetToken;
+};
+
+// Check if the password was changed after a token was issued. `iat` is in
+// whole seconds, so a token from the second of the change passes; password
+// changes revoke the user's sessions, which rejects those tokens.
+UserSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > JWTTimestamp;
+};
+
+// Check if the user logged out of all devices after a token was issued
+UserSchema.methods.loggedOutAfter = function (JWTTimestamp) {
+  if (!this.tokensRevokedAt) return false;
+  return Math.floor(this.tokensRevokedAt.getTime() / 1000) > JWTTimestamp;
+};
+
 // Generate JWT
 const { v4: uuidv4 } = require('uuid');
 
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const { protect, authorize, sessionOnly } = require('../middleware/auth');
+
+// All routes require an authenticated administrator
+router.use(protect, sessionOnly);
+router.use(authorize('admin'));
+
+// User management
+router.get('/users', adminController.getUsers);
+router.get('/users/:id', adminController.getUser);
+router.patch('/users/:id/deactivate', adminController.deactivateUser);
+router.patch('/users/:id/reactivate', adminController.reactivateUser);
+router.patch('/users/:id/role', adminController.changeRole);
+router.post('/users/:id/force-password-reset', adminController.forcePasswordReset);
+router.post('/users/:id/unlock', adminController.unlockUser);
+
+// Impersonation for support, with an audit trail
+router.post('/users/:id/impersonate', adminController.impersonateUser);
+router.get('/impersonations', adminController.getImpersonations);
+router.get('/impersonations/:id', adminController.getImpersonation);
+router.delete('/impersonations/:id', adminController.endImpersonation);
+
+module.exports = router;
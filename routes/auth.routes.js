@@ -1,20 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
-const { protect } = require('../middleware/auth');
+const twoFactorController = require('../controllers/twoFactor.controller');
+const apiKeyController = require('../controllers/apiKey.controller');
+const { protect, sessionOnly, noImpersonation } = require('../middleware/auth');
+const { authLimiter, credentialLimiter, magicLinkLimiter } = require('../middleware/rateLimit');
+
+// Per-IP throttling for every auth route
+router.use(authLimiter);
 
 // Public routes
 router.post('/signup', authController.register);
-router.post('/login', authController.login);
+router.post('/login', credentialLimiter, authController.login);
 router.post('/google', authController.googleLogin);
+router.post('/magic-link', magicLinkLimiter, authController.requestMagicLink);
+router.post('/magic-link/verify', credentialLimiter, authController.verifyMagicLink);
+router.post('/refresh', authController.refreshToken);
+router.post('/2fa/verify', credentialLimiter, twoFactorController.verifyLogin);
+router.post('/verify-email/resend', protect, sessionOnly, authController.resendVerification);
+router.post('/verify-email/:token', authController.verifyEmail);
 router.post('/forgot-password', authController.forgotPassword);
-router.post('/reset-password/:oobCode', authController.resetPassword);
+router.post('/reset-password/:token', credentialLimiter, authController.resetPassword);
+router.post('/password-expired', credentialLimiter, authController.changeExpiredPassword);
+router.post('/unlock/:token', credentialLimiter, authController.unlockAccount);
 
-// Protected routes
-router.use(protect);
+// Protected routes (not available to API keys)
+router.use(protect, sessionOnly);
 router.get('/me', authController.getMe);
 router.post('/logout', authController.logout);
-router.post('/change-password', authController.changePassword);
+router.post('/logout-all', noImpersonation, authController.logoutAll);
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions/:id', noImpersonation, authController.revokeSession);
+router.get('/login-history', authController.getLoginHistory);
+router.post('/change-password', noImpersonation, authController.changePassword);
 router.get('/verify', authController.verifyToken);
 
+// Two-factor authentication (never while impersonating)
+router.post('/2fa/setup', noImpersonation, twoFactorController.setup);
+router.post('/2fa/enable', noImpersonation, twoFactorController.enable);
+router.post('/2fa/disable', noImpersonation, twoFactorController.disable);
+router.post('/2fa/recovery-codes', noImpersonation, twoFactorController.regenerateRecoveryCodes);
+
+// API keys for scripts and integrations
+router.get('/api-keys/scopes', apiKeyController.getScopes);
+router.get('/api-keys', apiKeyController.getApiKeys);
+router.post('/api-keys', noImpersonation, apiKeyController.createApiKey);
+router.delete('/api-keys/:id', noImpersonation, apiKeyController.revokeApiKey);
+
 module.exports = router;
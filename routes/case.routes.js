@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const caseController = require('../controllers/case.controller');
-const { protect, authorize } = require('../middleware/auth');
+const invitationController = require('../controllers/invitation.controller');
+const hearingController = require('../controllers/hearing.controller');
+const conflictCheckController = require('../controllers/conflictCheck.controller');
+const caseLinkController = require('../controllers/caseLink.controller');
+const caseWorkflowController = require('../controllers/caseWorkflow.controller');
+const { protect, authorize, requireVerifiedEmail, requireScope, noImpersonation } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/roles');
 const multer = require('multer');
 
 // Configure multer for file uploads
@@ -41,33 +47,71 @@ const upload = multer({
 router.use(protect);
 
 // Get all cases or filtered cases
-router.get('/', caseController.getCases);
+router.get('/', requireScope('cases:read'), caseController.getCases);
 
 // Get case statistics
-router.get('/stats', caseController.getCaseStats);
+router.get('/stats', requireScope('cases:read'), caseController.getCaseStats);
 
 // Get recent cases
-router.get('/recent', caseController.getRecentCases);
+router.get('/recent', requireScope('cases:read'), caseController.getRecentCases);
+
+// Conflict-of-interest checks for new matters
+router.post('/conflict-check', requireScope('cases:read'), conflictCheckController.checkConflicts);
+router.get('/conflict-check/:checkId', requireScope('cases:read'), conflictCheckController.getConflictCheck);
+router.post('/conflict-check/:checkId/override', requireScope('cases:write'), authorize('lawyer'), conflictCheckController.overrideConflictCheck);
 
 // Get single case by ID
-router.get('/:id', caseController.getCase);
+router.get('/:id', requireScope('cases:read'), checkPermission('case', 'read'), caseController.getCase);
 
 // Get case timeline
-router.get('/:id/timeline', caseController.getCaseTimeline);
+router.get('/:id/timeline', requireScope('cases:read'), checkPermission('case', 'read'), caseController.getCaseTimeline);
+
+// Hearing register
+router.get('/:id/hearings', requireScope('cases:read'), checkPermission('case', 'read'), hearingController.getHearings);
+router.post('/:id/hearings', requireScope('cases:write'), checkPermission('case', 'edit'), hearingController.recordHearing);
+router.put('/:id/hearings/:hearingId', requireScope('cases:write'), checkPermission('case', 'edit'), hearingController.updateHearing);
+
+// Required-document checklist from the case's template
+router.get('/:id/checklist', requireScope('cases:read'), checkPermission('case', 'read'), caseController.getCaseChecklist);
+
+// Related matters and the family tree they form
+router.get('/:id/links', requireScope('cases:read'), checkPermission('case', 'read'), caseLinkController.getCaseLinks);
+router.post('/:id/links', requireScope('cases:write'), checkPermission('case', 'edit'), caseLinkController.addCaseLink);
+router.delete('/:id/links/:linkId', requireScope('cases:write'), checkPermission('case', 'edit'), caseLinkController.removeCaseLink);
+router.get('/:id/family', requireScope('cases:read'), checkPermission('case', 'read'), caseLinkController.getCaseFamily);
+
+// Stage workflow: guarded moves between stages, closing and reopening
+router.post('/:id/transition', requireScope('cases:write'), checkPermission('case', 'edit'), caseWorkflowController.transitionCase);
+router.get('/:id/transitions', requireScope('cases:read'), checkPermission('case', 'read'), caseWorkflowController.getTransitions);
+router.get('/:id/stages', requireScope('cases:read'), checkPermission('case', 'read'), caseWorkflowController.getStageHistory);
+
+// Field-level change history, and reverting a single field
+router.get('/:id/history', requireScope('cases:read'), checkPermission('case', 'read'), caseController.getCaseHistory);
+router.post('/:id/history/:historyId/revert', requireScope('cases:write'), checkPermission('case', 'edit'), caseController.revertCaseField);
 
 // Create new case - all users
-router.post('/', caseController.createCase);
+router.post('/', requireScope('cases:write'), requireVerifiedEmail('createCase'), caseController.createCase);
 
 // Update case - all users
-router.put('/:id', caseController.updateCase);
+router.put('/:id', requireScope('cases:write'), checkPermission('case', 'edit'), caseController.updateCase);
 
 // Delete case - all authenticated users can delete their own cases
-router.delete('/:id', caseController.deleteCase);
+router.delete('/:id', requireScope('cases:write'), noImpersonation, checkPermission('case', 'delete'), caseController.deleteCase);
 
 // Add client to case - all users
-router.post('/:id/clients', caseController.addClientToCase);
+router.post('/:id/clients', requireScope('cases:write'), checkPermission('case', 'edit'), caseController.addClientToCase);
+
+// Explicit access grants
+router.post('/:id/access', requireScope('cases:write'), checkPermission('case', 'share'), caseController.grantCaseAccess);
+router.delete('/:id/access/:userId', requireScope('cases:write'), checkPermission('case', 'share'), caseController.revokeCaseAccess);
+
+// Invitations for clients and co-counsel
+router.get('/:id/invitations', requireScope('cases:read'), checkPermission('case', 'invite'), invitationController.getInvitations);
+router.post('/:id/invitations', requireScope('cases:write'), checkPermission('case', 'invite'), invitationController.createInvitation);
+router.post('/:id/invitations/:invitationId/resend', requireScope('cases:write'), checkPermission('case', 'invite'), invitationController.resendInvitation);
+router.delete('/:id/invitations/:invitationId', requireScope('cases:write'), checkPermission('case', 'invite'), invitationController.revokeInvitation);
 
 // Upload documents to case
-router.post('/:id/documents', upload.array('files', 5), caseController.uploadCaseDocuments);
+router.post('/:id/documents', requireScope('documents:write'), checkPermission('case', 'upload'), upload.array('files', 5), caseController.uploadCaseDocuments);
 
 module.exports = router;
\ No newline at end of file
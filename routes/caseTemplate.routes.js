@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const caseTemplateController = require('../controllers/caseTemplate.controller');
+const { protect, sessionOnly } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(protect, sessionOnly);
+
+router.get('/', caseTemplateController.getTemplates);
+router.post('/', caseTemplateController.createTemplate);
+router.get('/:key', caseTemplateController.getTemplate);
+router.put('/:key', caseTemplateController.updateTemplate);
+router.delete('/:key', caseTemplateController.archiveTemplate);
+router.post('/:key/restore', caseTemplateController.restoreTemplate);
+
+// Version history
+router.get('/:key/versions', caseTemplateController.getTemplateVersions);
+
+module.exports = router;
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboard.controller');
-const { protect } = require('../middleware/auth');
+const { protect, sessionOnly } = require('../middleware/auth');
 
 // All routes require authentication
-router.use(protect);
+router.use(protect, sessionOnly);
 
 // Get dashboard summary
 router.get('/summary', dashboardController.getSummary);
@@ -15,4 +15,7 @@ router.get('/recent-cases', dashboardController.getRecentCases);
 // Get upcoming events
 router.get('/upcoming-events', dashboardController.getUpcomingEvents);
 
+// Get average time spent in each case stage
+router.get('/stage-durations', dashboardController.getStageDurations);
+
 module.exports = router;
\ No newline at end of file
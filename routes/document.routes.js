@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const documentController = require('../controllers/document.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope, sessionOnly } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/roles');
 const multer = require('multer');
 
 // Configure multer for file uploads
@@ -41,24 +42,24 @@ const upload = multer({
 router.use(protect);
 
 // Get all documents or filtered documents
-router.get('/', documentController.getDocuments);
+router.get('/', requireScope('documents:read'), documentController.getDocuments);
 
 // Get single document by ID
-router.get('/:id', documentController.getDocument);
+router.get('/:id', requireScope('documents:read'), checkPermission('document', 'read'), documentController.getDocument);
 
 // Upload document
-router.post('/upload', upload.single('file'), documentController.uploadDocument);
+router.post('/upload', requireScope('documents:write'), upload.single('file'), documentController.uploadDocument);
 
 // Update document
-router.put('/:id', documentController.updateDocument);
+router.put('/:id', requireScope('documents:write'), checkPermission('document', 'edit'), documentController.updateDocument);
 
 // Delete document
-router.delete('/:id', documentController.deleteDocument);
+router.delete('/:id', requireScope('documents:write'), checkPermission('document', 'delete'), documentController.deleteDocument);
 
 // Share document with users
-router.post('/:id/share', documentController.shareDocument);
+router.post('/:id/share', requireScope('documents:write'), checkPermission('document', 'share'), documentController.shareDocument);
 
 // Toggle document favorite status
-router.post('/:id/favorite', documentController.toggleFavorite);
+router.post('/:id/favorite', sessionOnly, checkPermission('document', 'read'), documentController.toggleFavorite);
 
 module.exports = router;
\ No newline at end of file
@@ -1,24 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/event.controller');
-const { protect } = require('../middleware/auth');
+const { protect, requireScope } = require('../middleware/auth');
+const { checkPermission } = require('../middleware/roles');
 
 // All routes require authentication
 router.use(protect);
 
 // Get all events or filtered events
-router.get('/', eventController.getEvents);
+router.get('/', requireScope('events:read'), eventController.getEvents);
 
 // Get single event by ID
-router.get('/:id', eventController.getEvent);
+router.get('/:id', requireScope('events:read'), checkPermission('event', 'read'), eventController.getEvent);
 
 // Create new event
-router.post('/', eventController.createEvent);
+router.post('/', requireScope('events:write'), eventController.createEvent);
 
 // Update event
-router.put('/:id', eventController.updateEvent);
+router.put('/:id', requireScope('events:write'), checkPermission('event', 'edit'), eventController.updateEvent);
 
 // Delete event
-router.delete('/:id', eventController.deleteEvent);
+router.delete('/:id', requireScope('events:write'), checkPermission('event', 'delete'), eventController.deleteEvent);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const firmController = require('../controllers/firm.controller');
+const { protect, authorize, sessionOnly } = require('../middleware/auth');
+
+// All routes require authentication
+router.use(protect, sessionOnly);
+
+router.post('/', authorize('lawyer'), firmController.createFirm);
+router.get('/mine', firmController.getMyFirm);
+
+// Invitations waiting for the current user
+router.get('/invitations', firmController.getMyInvitations);
+router.post('/invitations/:invitationId/accept', firmController.acceptInvitation);
+router.post('/invitations/:invitationId/decline', firmController.declineInvitation);
+
+router.put('/:id', firmController.updateFirm);
+
+// Membership: partners invite, and members join once they accept
+router.get('/:id/invitations', firmController.getFirmInvitations);
+router.post('/:id/invitations', firmController.inviteMember);
+router.delete('/:id/invitations/:invitationId', firmController.revokeFirmInvitation);
+router.patch('/:id/members/:userId', firmController.updateMemberRole);
+router.delete('/:id/members/:userId', firmController.removeMember);
+
+module.exports = router;
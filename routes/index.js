@@ -9,6 +9,10 @@ const eventRoutes = require('./event.routes');
 const profileRoutes = require('./profile.routes');
 const dashboardRoutes = require('./dashboard.routes');
 const notificationRoutes = require('./notification.routes');
+const adminRoutes = require('./admin.routes');
+const firmRoutes = require('./firm.routes');
+const invitationRoutes = require('./invitation.routes');
+const caseTemplateRoutes = require('./caseTemplate.routes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -18,5 +22,9 @@ router.use('/events', eventRoutes);
 router.use('/profile', profileRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/notifications', notificationRoutes);
+router.use('/admin', adminRoutes);
+router.use('/firms', firmRoutes);
+router.use('/invitations', invitationRoutes);
+router.use('/templates', caseTemplateRoutes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const invitationController = require('../controllers/invitation.controller');
+const { protect, sessionOnly } = require('../middleware/auth');
+
+// Public: lets the app show who sent the invite before sign-in or sign-up
+router.get('/:token', invitationController.getInvitationByToken);
+
+router.post('/:token/accept', protect, sessionOnly, invitationController.acceptInvitation);
+
+module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notification.controller');
-const { protect } = require('../middleware/auth');
+const { protect, sessionOnly } = require('../middleware/auth');
 
-router.use(protect);
+router.use(protect, sessionOnly);
 
 // Get all notifications for the logged-in user
 router.get('/', notificationController.getNotifications);
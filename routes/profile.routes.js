@@ -1,27 +1,32 @@
 const express = require('express');
 const router = express.Router();
 const profileController = require('../controllers/profile.controller');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, sessionOnly, noImpersonation } = require('../middleware/auth');
 
 // All routes require authentication
-router.use(protect);
+router.use(protect, sessionOnly);
 
 // Get user profile
 router.get('/profile', profileController.getProfile);
 
-// Update user profile
-router.put('/profile', profileController.updateProfile);
+// Update user profile (can change the sign-in email, so never while impersonating)
+router.put('/profile', noImpersonation, profileController.updateProfile);
 
 // Change password
-router.post('/change-password', profileController.changePassword);
+router.post('/change-password', noImpersonation, profileController.changePassword);
 
 // Update notification settings
 router.put('/notifications', profileController.updateNotifications);
 
 // Update security settings
-router.put('/security', profileController.updateSecurity);
+router.put('/security', noImpersonation, profileController.updateSecurity);
 
 // Update appearance settings
 router.put('/appearance', profileController.updateAppearance);
 
+// Personal data export and account deletion (DPDP)
+router.get('/export', profileController.exportData);
+router.post('/delete-account', noImpersonation, profileController.requestAccountDeletion);
+router.post('/delete-account/cancel', noImpersonation, profileController.cancelAccountDeletion);
+
 module.exports = router;
@@ -0,0 +1,38 @@
+// Usage: node scripts/backfill_stage_history.js
+// Gives cases opened before the stage workflow a stage history, so their
+// stage timeline and the dashboard's stage durations include them. Each
+// case gets one entry for its current stage. Safe to run more than once.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Case = require('../models/case.model');
+const { initialStageEntry } = require('../utils/caseWorkflow');
+
+(async () => {
+  try {
+    if (!process.env.MONGO_URI) {
+      throw new Error('MONGO_URI environment variable not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const cases = Case.find({ $or: [{ stageHistory: { $exists: false } }, { stageHistory: { $size: 0 } }] })
+      .select('caseStage status closedAt createdAt updatedAt')
+      .lean()
+      .cursor();
+
+    let filled = 0;
+    for await (const caseItem of cases) {
+      const entry = await initialStageEntry(caseItem);
+      // Updated directly so older cases that no longer pass validation are not skipped
+      await Case.collection.updateOne({ _id: caseItem._id }, { $set: { stageHistory: [entry] } });
+      filled++;
+    }
+
+    console.log(`Done. Added a stage history to ${filled} cases.`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,36 @@
+// Usage: node scripts/drop_case_number_unique_index.js
+// Case numbers are no longer unique: the same number is used by different
+// courts and by each side's workspace. Mongoose never drops indexes, so
+// databases created before that change keep the unique caseNumber_1 index
+// and reject such cases. This drops it and builds the current indexes.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Case = require('../models/case.model');
+
+(async () => {
+  try {
+    if (!process.env.MONGO_URI) {
+      throw new Error('MONGO_URI environment variable not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const indexes = await Case.collection.indexes();
+    const legacy = indexes.find(index => index.name === 'caseNumber_1');
+    if (legacy && legacy.unique) {
+      await Case.collection.dropIndex('caseNumber_1');
+      console.log('Dropped unique index caseNumber_1');
+    } else {
+      console.log('No unique caseNumber index found');
+    }
+
+    // Recreates caseNumber_1 without the unique constraint, with the other new indexes
+    await Case.createIndexes();
+    console.log('Case indexes are up to date.');
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+})();
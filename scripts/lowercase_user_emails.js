@@ -0,0 +1,46 @@
+// Usage: node scripts/lowercase_user_emails.js
+// User emails are stored in lower case, and lookups (sign-in, magic links,
+// invitations, firm membership) use the lower-case form. Accounts registered
+// before that keep the email as typed and can't be found; this lower-cases
+// them. Accounts whose emails differ only in case are listed, not changed.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+
+(async () => {
+  try {
+    if (!process.env.MONGO_URI) {
+      throw new Error('MONGO_URI environment variable not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Read through the driver so the schema's lowercase setter doesn't hide the stored value
+    const users = await User.collection
+      .find({ email: { $regex: '[A-Z]' } }, { projection: { email: 1 } })
+      .toArray();
+
+    let fixed = 0;
+    const clashes = [];
+    for (const user of users) {
+      const email = user.email.trim().toLowerCase();
+      const other = await User.collection.findOne({ email, _id: { $ne: user._id } }, { projection: { _id: 1 } });
+      if (other) {
+        clashes.push(`${user._id} (${user.email}) clashes with ${other._id}`);
+        continue;
+      }
+      await User.collection.updateOne({ _id: user._id }, { $set: { email } });
+      fixed++;
+    }
+
+    console.log(`Done. Lower-cased ${fixed} email(s).`);
+    if (clashes.length) {
+      console.log(`Merge or rename these accounts by hand:\n${clashes.join('\n')}`);
+    }
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,32 @@
+// Usage: node scripts/make_admin.js <email>
+// Promotes an existing user to administrator. The first admin has to be created
+// this way; after that admins can change roles through /api/admin/users.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+
+(async () => {
+  try {
+    const email = process.argv[2];
+    if (!email) {
+      throw new Error('Usage: node scripts/make_admin.js <email>');
+    }
+    if (!process.env.MONGO_URI) {
+      throw new Error('MONGO_URI environment variable not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const user = await User.findOneAndUpdate({ email }, { role: 'admin' }, { new: true });
+    if (!user) {
+      throw new Error(`No user found with email ${email}`);
+    }
+
+    console.log(`${user.email} is now an admin.`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+})();
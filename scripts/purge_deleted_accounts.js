@@ -0,0 +1,24 @@
+// Usage: node scripts/purge_deleted_accounts.js
+// Anonymises accounts whose deletion grace period has ended. Run it daily,
+// e.g. from cron: 0 3 * * * node /path/to/adhi_API/scripts/purge_deleted_accounts.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { processDueDeletions } = require('../utils/personalData');
+
+(async () => {
+  try {
+    if (!process.env.MONGO_URI) {
+      throw new Error('MONGO_URI environment variable not set');
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const processed = await processDueDeletions();
+    console.log(`Deleted ${processed} account(s).`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Error:', err.message);
+    process.exit(1);
+  }
+})();
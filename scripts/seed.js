@@ -69,7 +69,7 @@ const createCases = async (users) => {
   const cases = await Case.insertMany([
     {
       title: 'Smith v. Johnson',
-      caseNumber: 'CV-1234',
+      caseNumber: 'O.S. 1234/2024',
       caseType: 'civil',
       user: lawyer._id,
       client: client._id,
@@ -79,7 +79,7 @@ const createCases = async (users) => {
     },
     {
       title: 'Brown v. Green Corp',
-      caseNumber: 'COM-5678',
+      caseNumber: 'Com.O.S. 5678/2023',
       caseType: 'commercial',
       user: lawyer._id,
       client: client._id,
@@ -89,8 +89,9 @@ const createCases = async (users) => {
     },
     {
       title: 'Miller Divorce Case',
-      caseNumber: 'FAM-9876',
+      caseNumber: 'M.C. 9876/2022',
       caseType: 'family',
+      courtType: 'family_court',
       user: lawyer._id,
       client: client._id,
       petitionerNames: ['Amy Miller'],
@@ -15,6 +15,9 @@ console.log('Executing server.js');
 // Create Express app
 const app = express();
 
+// Behind the hosting provider's proxy; makes req.ip the real client address
+app.set('trust proxy', 1);
+
 // Connect to MongoDB
 const connectDB = async () => {
   try {
@@ -58,8 +61,8 @@ app.use(cors({
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
 }));
 
 // Middleware
@@ -0,0 +1,74 @@
+const Profile = require('../models/profile.model');
+const RefreshToken = require('../models/refreshToken.model');
+const Session = require('../models/session.model');
+const { generateAccessToken, generatePurposeToken, decodeToken } = require('./jwt');
+
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+// Client IP (server.js trusts the first proxy hop)
+const getClientIp = (req) => (req ? req.ip : undefined);
+
+/**
+ * Issue an access token and a persisted refresh token for a user.
+ * Without an existing session a new one is started for the request's device.
+ * @param {Object} user - User document
+ * @param {Object} [options]
+ * @param {Object} [options.req] - Express request, used to record the device
+ * @param {Object} [options.session] - Existing session (when rotating)
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}>}
+ */
+const issueAuthTokens = async (user, { req, session } = {}) => {
+  if (!session) {
+    const profile = await Profile.findOne({ user: user._id }).select('securitySettings.sessionTimeout');
+
+    session = new Session({
+      user: user._id,
+      userAgent: req ? req.get('user-agent') : undefined,
+      ip: getClientIp(req),
+      idleTimeout: profile && profile.securitySettings ? profile.securitySettings.sessionTimeout : undefined,
+    });
+  }
+
+  const token = generateAccessToken(user, { sid: session.id });
+  const refreshToken = await RefreshToken.issue(user, session.id);
+
+  session.lastSeenAt = Date.now();
+  session.expiresAt = new Date(decodeToken(refreshToken).payload.exp * 1000);
+  await session.save();
+
+  return { token, refreshToken, session };
+};
+
+/**
+ * Return a 2FA challenge token if the user has to complete two-factor
+ * authentication before a session is issued, otherwise null
+ * @param {Object} user - User document selected with +twoFactorSecret
+ * @param {string} method - First factor used ('password' | 'google' | 'magic_link'), kept for the login history
+ * @returns {Promise<string|null>}
+ */
+const getTwoFactorChallenge = async (user, method) => {
+  if (!user.twoFactorSecret) return null;
+
+  const profile = await Profile.findOne({ user: user._id }).select('securitySettings.twoFactorAuth');
+  if (!profile || !profile.securitySettings || !profile.securitySettings.twoFactorAuth) return null;
+
+  return generatePurposeToken({ id: user._id, method }, '2fa', TWO_FACTOR_CHALLENGE_EXPIRE);
+};
+
+/**
+ * Check whether an account may start a session even though its credentials are valid
+ * @param {Object} user - User document
+ * @param {string} method - Login method ('password' | 'google' | 'magic_link')
+ * @returns {{reason: string, message: string}|null}
+ */
+const getLoginBlock = (user, method) => {
+  if (!user.isActive) {
+    return { reason: 'account_deactivated', message: 'This account has been deactivated' };
+  }
+  if (method === 'password' && user.passwordResetRequired) {
+    return { reason: 'password_reset_required', message: 'Your password must be reset. Check your email for a reset link' };
+  }
+  return null;
+};
+
+module.exports = { issueAuthTokens, getTwoFactorChallenge, getLoginBlock, getClientIp };
@@ -0,0 +1,370 @@
+// utils/caseHistory.js
+// Recording changes to cases and building the merged case timeline
+
+const CaseHistory = require('../models/caseHistory.model');
+const Case = require('../models/case.model');
+const Event = require('../models/event.model');
+const Document = require('../models/document.model');
+const Hearing = require('../models/hearing.model');
+const logger = require('./logger');
+
+// History category for fields that get their own line on the timeline;
+// every other field is filed under 'details'
+const FIELD_CATEGORIES = {
+  caseStage: 'stage',
+  status: 'status',
+  outcome: 'status',
+  parties: 'party',
+  lawyer: 'team',
+  lawyers: 'team',
+  advocates: 'team',
+  stakeholders: 'team',
+  client: 'client',
+  clients: 'client',
+  hearingDate: 'hearing',
+  nextHearingDate: 'hearing',
+  links: 'links',
+};
+
+// Bookkeeping fields that are not part of a case's own details
+const UNTRACKED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'documents', 'events', 'accessibleTo', 'firm', 'conflictCheck', 'template',
+  // Kept by the stage workflow
+  'stageHistory',
+  // Derived from caseNumber and filingNumber
+  'caseNumberParts', 'filingNumberParts',
+];
+
+// Top-level case fields whose changes are recorded
+const TRACKED_FIELDS = [...new Set(
+  Object.keys(Case.schema.paths).map(path => path.split('.')[0])
+)].filter(field => !UNTRACKED_FIELDS.includes(field));
+
+// How array entries are matched between versions, so an edit to one person
+// reads as a change to them rather than a removal and an addition
+const ITEM_KEYS = {
+  lawyers: item => item.user || item.email || item.name,
+  clients: item => item.user || item.email || item.name,
+  advocates: item => item.email || item.name,
+  stakeholders: item => item.email || item.name,
+  'parties.petitioner': item => item.email || item.name,
+  'parties.respondent': item => item.email || item.name,
+  links: item => `${item.type}:${item.case}`,
+};
+
+// Set when an entry is added; not something a user changes
+const ITEM_META_FIELDS = ['addedAt', 'addedBy'];
+
+const TIMELINE_TYPES = ['created', 'event', 'hearing', 'document', 'stage', 'status', 'party', 'team', 'client', 'links', 'details'];
+
+// Plain, comparable form of a field value (subdocuments, ObjectIds, dates)
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+const isEqual = (a, b) => JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+
+const withoutMeta = (item) => {
+  const copy = { ...item };
+  ITEM_META_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Per-entry differences between two versions of an array field
+const diffItems = (path, from, to) => {
+  const keyOf = ITEM_KEYS[path];
+  const before = (from || []).map(withoutMeta);
+  const after = (to || []).map(withoutMeta);
+  const items = [];
+
+  const remaining = [...before];
+  after.forEach((item) => {
+    const index = remaining.findIndex(old => String(keyOf(old)) === String(keyOf(item)));
+    if (index === -1) {
+      items.push({ path, op: 'added', key: String(keyOf(item)), to: item });
+      return;
+    }
+    const [old] = remaining.splice(index, 1);
+    if (!isEqual(old, item)) {
+      items.push({ path, op: 'changed', key: String(keyOf(item)), from: old, to: item });
+    }
+  });
+  remaining.forEach(old => items.push({ path, op: 'removed', key: String(keyOf(old)), from: old }));
+
+  return items;
+};
+
+/**
+ * Describe how one field changed, or return null if it didn't in any way
+ * that matters
+ * @returns {{field: string, from: *, to: *, items?: Object[]}|null}
+ */
+const diffField = (field, fromValue, toValue) => {
+  const from = normalize(fromValue);
+  const to = normalize(toValue);
+  if (isEqual(from, to)) return null;
+
+  let items;
+  if (field === 'parties') {
+    items = ['petitioner', 'respondent'].flatMap(side =>
+      diffItems(`parties.${side}`, from && from[side], to && to[side]));
+  } else if (ITEM_KEYS[field]) {
+    items = diffItems(field, from, to);
+  }
+  if (items && !items.length) return null;
+
+  return items ? { field, from, to, items } : { field, from, to };
+};
+
+const actorFields = (actor) => (actor ? { actor: actor._id, actorName: actor.name } : {});
+
+/**
+ * Record that a case was opened
+ * @param {Object} caseItem - Case document
+ * @param {Object} [actor] - User who created it
+ */
+const recordCaseCreated = async (caseItem, actor) => {
+  try {
+    await CaseHistory.create({
+      case: caseItem._id,
+      category: 'created',
+      changes: [{ field: 'caseStage', from: null, to: caseItem.caseStage }, { field: 'status', from: null, to: caseItem.status }],
+      ...actorFields(actor),
+    });
+  } catch (error) {
+    logger.error(`Case history error for case ${caseItem._id}: ${error.message}`);
+  }
+};
+
+/**
+ * Record every field that differs between two versions of a case, one
+ * history entry per category
+ * @param {Object} before - Case before the change (document or plain object)
+ * @param {Object} after - Case after the change
+ * @param {Object} [actor] - User who made the change
+ * @param {Object} [options]
+ * @param {string[]} [options.fields] - Only compare these fields
+ * @param {Object} [options.revertOf] - { history, field } when the change reverts an earlier one
+ * @param {string} [options.hearing] - Hearing whose recording made the change
+ * @returns {Promise<Object[]>} The history entries written
+ */
+const recordCaseChanges = async (before, after, actor, { fields = TRACKED_FIELDS, revertOf, hearing } = {}) => {
+  const byCategory = {};
+  fields.forEach((field) => {
+    const change = diffField(field, before[field], after[field]);
+    if (!change) return;
+    const category = FIELD_CATEGORIES[field] || 'details';
+    byCategory[category] = byCategory[category] || [];
+    byCategory[category].push(change);
+  });
+
+  const entries = Object.entries(byCategory).map(([category, changes]) => ({
+    case: after._id,
+    category,
+    changes,
+    revertOf,
+    hearing,
+    ...actorFields(actor),
+  }));
+  if (!entries.length) return [];
+
+  try {
+    return await CaseHistory.insertMany(entries);
+  } catch (error) {
+    // History must never stop the change itself
+    logger.error(`Case history error for case ${after._id}: ${error.message}`);
+    return [];
+  }
+};
+
+const CATEGORY_TITLES = {
+  created: 'Case created',
+  stage: 'Stage changed',
+  status: 'Status changed',
+  party: 'Parties updated',
+  team: 'Legal team updated',
+  client: 'Clients updated',
+  hearing: 'Hearing date changed',
+  links: 'Related cases updated',
+  details: 'Case details updated',
+};
+
+const describeChange = ({ field, from, to, items }) => {
+  if (items) {
+    return items.map(item => `${item.path} ${item.op}: ${item.key}`).join('; ');
+  }
+  if ((from && typeof from === 'object') || (to && typeof to === 'object')) {
+    return `${field} updated`;
+  }
+  return `${field}: ${from === null ? '(none)' : from} → ${to === null ? '(none)' : to}`;
+};
+
+const historyToEntry = (history) => ({
+  type: history.category,
+  date: history.createdAt,
+  title: CATEGORY_TITLES[history.category],
+  description: history.changes.map(describeChange).join('; '),
+  actor: history.actor ? { id: history.actor, name: history.actorName } : null,
+  source: { kind: 'history', id: history._id },
+  data: { changes: history.changes },
+});
+
+const eventToEntry = (event) => ({
+  type: event.type === 'hearing' ? 'hearing' : 'event',
+  date: event.start,
+  title: event.title,
+  description: event.description,
+  actor: event.createdBy ? { id: event.createdBy._id || event.createdBy, name: event.createdBy.name } : null,
+  source: { kind: 'event', id: event._id },
+  data: { eventType: event.type, status: event.status, location: event.location, end: event.end },
+});
+
+const hearingToEntry = (hearing) => ({
+  type: 'hearing',
+  date: hearing.date,
+  title: `Hearing ${hearing.outcome}`,
+  description: hearing.summary || hearing.purpose,
+  actor: hearing.recordedBy ? { id: hearing.recordedBy._id || hearing.recordedBy, name: hearing.recordedBy.name } : null,
+  source: { kind: 'hearing', id: hearing._id },
+  data: {
+    outcome: hearing.outcome,
+    bench: hearing.bench,
+    judge: hearing.judge,
+    purpose: hearing.purpose,
+    nextDate: hearing.nextDate,
+  },
+});
+
+// Cases opened before changes were recorded have no 'created' entry
+const createdEntry = (caseItem) => ({
+  type: 'created',
+  date: caseItem.createdAt,
+  title: CATEGORY_TITLES.created,
+  description: `caseStage: ${caseItem.caseStage}; status: ${caseItem.status}`,
+  actor: null,
+  source: { kind: 'case', id: caseItem._id },
+  data: {},
+});
+
+const documentToEntry = (doc) => ({
+  type: 'document',
+  date: doc.createdAt,
+  title: `Document uploaded: ${doc.name}`,
+  description: doc.description,
+  actor: doc.uploadedBy ? { id: doc.uploadedBy._id || doc.uploadedBy, name: doc.uploadedBy.name || doc.uploadedByName } : null,
+  source: { kind: 'document', id: doc._id },
+  data: { category: doc.category, fileType: doc.fileType, fileName: doc.fileName },
+});
+
+/**
+ * Build one page of a case's timeline, newest first, from its events,
+ * hearing register, documents and recorded changes
+ * @param {Object} caseItem - Case document
+ * @param {Object} [options]
+ * @param {string[]} [options.types] - Entry types to include (default all)
+ * @param {number} [options.page=1]
+ * @param {number} [options.limit=20]
+ * @returns {Promise<{entries: Object[], total: number}>}
+ */
+const getCaseTimeline = async (caseItem, { types = TIMELINE_TYPES, page = 1, limit = 20 } = {}) => {
+  const caseId = caseItem._id;
+  const wanted = new Set(types);
+  // Enough from each source to fill the requested page once merged
+  const take = page * limit;
+
+  const sources = [];
+
+  // A recorded hearing is shown once, by its register entry: not by its
+  // calendar event, nor by the hearing-date change recording it made
+  const hearingEventIds = wanted.has('hearing')
+    ? await Hearing.distinct('event', { case: caseId, event: { $ne: null } })
+    : [];
+
+  const historyCategories = Object.keys(CATEGORY_TITLES).filter(t => wanted.has(t));
+  if (historyCategories.length) {
+    const filter = {
+      case: caseId,
+      category: { $in: historyCategories },
+      $nor: [{ category: 'hearing', hearing: { $ne: null } }],
+    };
+    sources.push({
+      count: CaseHistory.countDocuments(filter),
+      items: CaseHistory.find(filter).sort({ createdAt: -1 }).limit(take).lean()
+        .then(items => items.map(historyToEntry)),
+    });
+  }
+
+  const eventTypes = [];
+  if (wanted.has('hearing')) eventTypes.push({ type: 'hearing' });
+  if (wanted.has('event')) eventTypes.push({ type: { $ne: 'hearing' } });
+  if (eventTypes.length) {
+    const filter = { case: caseId, $or: eventTypes, _id: { $nin: hearingEventIds } };
+    sources.push({
+      count: Event.countDocuments(filter),
+      items: Event.find(filter)
+        .select('-reminders -participants')
+        .populate('createdBy', 'name')
+        .sort({ start: -1 })
+        .limit(take)
+        .lean()
+        .then(items => items.map(eventToEntry)),
+    });
+  }
+
+  if (wanted.has('hearing')) {
+    const filter = { case: caseId };
+    sources.push({
+      count: Hearing.countDocuments(filter),
+      items: Hearing.find(filter)
+        .populate('recordedBy', 'name')
+        .sort({ date: -1 })
+        .limit(take)
+        .lean()
+        .then(items => items.map(hearingToEntry)),
+    });
+  }
+
+  if (wanted.has('created')) {
+    const missing = CaseHistory.exists({ case: caseId, category: 'created' }).then(found => !found);
+    sources.push({
+      count: missing.then(isMissing => (isMissing ? 1 : 0)),
+      items: missing.then(isMissing => (isMissing ? [createdEntry(caseItem)] : [])),
+    });
+  }
+
+  if (wanted.has('document')) {
+    const filter = { case: caseId };
+    sources.push({
+      count: Document.countDocuments(filter),
+      items: Document.find(filter)
+        .select('name description category fileType fileName uploadedBy uploadedByName createdAt')
+        .populate('uploadedBy', 'name')
+        .sort({ createdAt: -1 })
+        .limit(take)
+        .lean()
+        .then(items => items.map(documentToEntry)),
+    });
+  }
+
+  const [counts, lists] = await Promise.all([
+    Promise.all(sources.map(s => s.count)),
+    Promise.all(sources.map(s => s.items)),
+  ]);
+
+  const merged = lists.flat().sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return {
+    entries: merged.slice((page - 1) * limit, page * limit),
+    total: counts.reduce((sum, n) => sum + n, 0),
+  };
+};
+
+module.exports = {
+  TIMELINE_TYPES,
+  TRACKED_FIELDS,
+  isEqual,
+  recordCaseCreated,
+  recordCaseChanges,
+  getCaseTimeline,
+};
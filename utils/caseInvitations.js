@@ -0,0 +1,118 @@
+// utils/caseInvitations.js
+// Sending, checking and accepting invitations to join a case
+
+const Case = require('../models/case.model');
+const CaseInvitation = require('../models/caseInvitation.model');
+const Notification = require('../models/notification.model');
+const { generatePurposeToken, verifyPurposeToken, decodeToken } = require('./jwt');
+const { sendCaseInvitationEmail } = require('./sendgridMailer');
+const { recordCaseChanges } = require('./caseHistory');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const INVITATION_TTL_DAYS = 7;
+const INVITE_PURPOSE = 'case-invite';
+
+/**
+ * Sign a fresh invite link and email it. Earlier links for the same
+ * invitation stop working because only the latest jti is accepted.
+ * @param {Object} invitation - CaseInvitation document
+ * @param {Object} caseItem - Case the invitation is for
+ * @param {Object} inviter - User sending the invitation
+ */
+const sendInvitation = async (invitation, caseItem, inviter) => {
+  const expiresIn = Math.max(1, Math.floor((invitation.expiresAt - Date.now()) / 1000));
+  const token = generatePurposeToken({ invitation: invitation.id }, INVITE_PURPOSE, expiresIn);
+
+  invitation.tokenJti = decodeToken(token).payload.jti;
+  invitation.lastSentAt = Date.now();
+  invitation.sendCount += 1;
+  await invitation.save();
+
+  const inviteLink = `${FRONTEND_URL}/invitations/${token}`;
+  await sendCaseInvitationEmail(invitation.email, inviter.name, caseItem.title, invitation.role, inviteLink);
+};
+
+/**
+ * Look up the pending invitation an invite link points to
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<Object|null>} The invitation, or null if the link is invalid,
+ *   superseded, expired, revoked or already used
+ */
+const findInvitationByToken = async (token) => {
+  const decoded = verifyPurposeToken(token, INVITE_PURPOSE);
+  if (!decoded) return null;
+
+  const invitation = await CaseInvitation.findById(decoded.invitation).select('+tokenJti');
+  if (!invitation || invitation.tokenJti !== decoded.jti) return null;
+  if (invitation.currentStatus() !== 'pending') return null;
+
+  return invitation;
+};
+
+/**
+ * Attach the user to the case named in the invitation and mark it accepted.
+ * Existing entries with the invitee's email are linked rather than duplicated.
+ * @param {Object} invitation - Pending CaseInvitation document
+ * @param {Object} user - Accepting user; their email must match the invitation
+ * @returns {Promise<Object>} The updated case
+ */
+const acceptInvitation = async (invitation, user) => {
+  const caseItem = await Case.findById(invitation.case);
+  if (!caseItem) return null;
+  const before = caseItem.toObject();
+
+  const userId = user._id.toString();
+  const email = String(user.email).toLowerCase();
+  const matches = (member) => (member.user && member.user.toString() === userId)
+    || (!!member.email && member.email.toLowerCase() === email);
+
+  if (invitation.role === 'lawyer') {
+    const member = caseItem.lawyers.find(matches);
+    if (member) {
+      member.user = user._id;
+    } else {
+      caseItem.lawyers.push({
+        user: user._id,
+        name: user.name,
+        email: user.email,
+        addedBy: invitation.invitedBy,
+        addedAt: Date.now(),
+      });
+    }
+  } else {
+    const member = caseItem.clients.find(matches);
+    if (member) {
+      member.user = user._id;
+    } else {
+      caseItem.clients.push({ user: user._id, name: user.name, email: user.email });
+    }
+    if (!caseItem.client) {
+      caseItem.client = user._id;
+    }
+  }
+  await caseItem.save();
+  await recordCaseChanges(before, caseItem, user);
+
+  invitation.status = 'accepted';
+  invitation.acceptedBy = user._id;
+  invitation.acceptedAt = Date.now();
+  invitation.tokenJti = undefined;
+  await invitation.save();
+
+  await Notification.create({
+    user: invitation.invitedBy,
+    type: 'case',
+    message: `${user.name} accepted your invitation to the case: ${caseItem.title}`,
+    link: `/dashboard/cases/${caseItem._id}`,
+    meta: { caseId: caseItem._id, invitationId: invitation._id },
+  });
+
+  return caseItem;
+};
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  sendInvitation,
+  findInvitationByToken,
+  acceptInvitation,
+};
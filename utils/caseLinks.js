@@ -0,0 +1,281 @@
+// utils/caseLinks.js
+// Links between related matters (appeals, revisions, execution petitions,
+// connected and transferred cases) and the family tree they form.
+
+const Case = require('../models/case.model');
+const { readableCaseFilter } = require('./policy');
+
+// Links are stored on the later case and point at the earlier one. Parent
+// links place the linked case above this one in the family tree and must
+// never form a cycle; connected_with is a plain two-way association.
+const LINK_TYPES = {
+  appeal_of: { label: 'Appeal of', inverse: 'Appealed in', parent: true },
+  revision_of: { label: 'Revision of', inverse: 'Revised in', parent: true },
+  execution_of: { label: 'Execution of', inverse: 'Executed in', parent: true },
+  transferred_from: { label: 'Transferred from', inverse: 'Transferred to', parent: true },
+  connected_with: { label: 'Connected with', inverse: 'Connected with', parent: false },
+};
+
+// Case types that continue an earlier case, and the link that names it
+const PARENT_LINK_FOR_CASE_TYPE = {
+  appeal: 'appeal_of',
+  revision: 'revision_of',
+  execution: 'execution_of',
+};
+
+// When set, those case types cannot be created without their parent link
+const REQUIRE_PARENT_CASE = process.env.REQUIRE_PARENT_CASE === 'true';
+
+// Families larger than this are cut off rather than walked in full
+const MAX_FAMILY_SIZE = 200;
+
+const SUMMARY_FIELDS = 'title caseNumber cnrNumber caseType courtType court status filingDate';
+
+const idString = (value) => String(value && value._id ? value._id : value);
+
+const summarize = (caseItem) => ({
+  id: caseItem._id,
+  title: caseItem.title,
+  caseNumber: caseItem.caseNumber,
+  cnrNumber: caseItem.cnrNumber,
+  caseType: caseItem.caseType,
+  courtType: caseItem.courtType,
+  court: caseItem.court,
+  status: caseItem.status,
+  filingDate: caseItem.filingDate,
+});
+
+// Linked cases the user can't read are shown without their details
+const restricted = (id) => ({ id, restricted: true });
+
+const readableIdsAmong = async (ids, userId) => {
+  if (!ids.length) return new Set();
+  const readable = await Case.find({ $and: [{ _id: { $in: ids } }, await readableCaseFilter(userId)] })
+    .select('_id')
+    .lean();
+  return new Set(readable.map(c => idString(c._id)));
+};
+
+/**
+ * Every case above the given ones through parent links
+ * @param {Array} caseIds - Starting cases
+ * @returns {Promise<Set<string>>} Ancestor ids, including the starting cases
+ */
+const findAncestorIds = async (caseIds) => {
+  const seen = new Set(caseIds.map(idString));
+  let frontier = [...seen];
+
+  while (frontier.length && seen.size < MAX_FAMILY_SIZE) {
+    const cases = await Case.find({ _id: { $in: frontier } }).select('links').lean();
+    frontier = [];
+    cases.forEach((caseItem) => {
+      (caseItem.links || [])
+        .filter(link => LINK_TYPES[link.type].parent)
+        .forEach((link) => {
+          const id = idString(link.case);
+          if (!seen.has(id)) {
+            seen.add(id);
+            frontier.push(id);
+          }
+        });
+    });
+  }
+  return seen;
+};
+
+/**
+ * Check that a new link from a case is allowed
+ * @param {Object} caseItem - Case the link is stored on
+ * @param {Object} target - Case being linked to
+ * @param {string} type - One of LINK_TYPES
+ * @returns {Promise<string|null>} Why the link is not allowed, or null
+ */
+const validateLink = async (caseItem, target, type) => {
+  const linkType = LINK_TYPES[type];
+  if (!linkType) {
+    return `Link type must be one of: ${Object.keys(LINK_TYPES).join(', ')}`;
+  }
+
+  const caseId = idString(caseItem._id);
+  const targetId = idString(target._id);
+  if (caseId === targetId) {
+    return 'A case cannot be linked to itself';
+  }
+
+  const links = caseItem.links || [];
+  const alreadyLinked = links.some(link => idString(link.case) === targetId && link.type === type) ||
+    (type === 'connected_with' && (target.links || []).some(link => idString(link.case) === caseId && link.type === type));
+  if (alreadyLinked) {
+    return 'These cases are already linked that way';
+  }
+
+  if (linkType.parent) {
+    if (links.some(link => link.type === type)) {
+      return `This case is already linked as "${linkType.label}" another case. Remove that link first`;
+    }
+    // The new parent, or anything above it, must not already sit below this case
+    const ancestors = await findAncestorIds([targetId]);
+    if (ancestors.has(caseId)) {
+      return `Linking would create a cycle: ${target.title} already descends from this case`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Cases directly linked to a case, in either direction
+ * @param {Object} caseItem - Case document
+ * @param {string} userId - User viewing the case
+ * @returns {Promise<Object[]>}
+ */
+const getRelatedCases = async (caseItem, userId) => {
+  const caseId = idString(caseItem._id);
+  const outgoing = caseItem.links || [];
+  const incoming = await Case.find({ 'links.case': caseItem._id }).select(`${SUMMARY_FIELDS} links`).lean();
+  const targets = await Case.find({ _id: { $in: outgoing.map(link => link.case) } }).select(SUMMARY_FIELDS).lean();
+
+  const readable = await readableIdsAmong(
+    [...incoming.map(c => c._id), ...targets.map(c => c._id)],
+    userId
+  );
+  const view = (other) => (readable.has(idString(other._id)) ? summarize(other) : restricted(other._id));
+
+  const related = [];
+  outgoing.forEach((link) => {
+    const target = targets.find(c => idString(c._id) === idString(link.case));
+    if (!target) return;
+    related.push({
+      linkId: link._id,
+      type: link.type,
+      relation: LINK_TYPES[link.type].label,
+      direction: 'outgoing',
+      note: link.note,
+      case: view(target),
+    });
+  });
+  incoming.forEach((source) => {
+    source.links
+      .filter(link => idString(link.case) === caseId)
+      .forEach((link) => {
+        related.push({
+          type: link.type,
+          relation: LINK_TYPES[link.type].inverse,
+          direction: 'incoming',
+          note: link.note,
+          case: view(source),
+        });
+      });
+  });
+
+  return related;
+};
+
+/**
+ * The whole family a case belongs to: every case reachable through links,
+ * arranged as trees under the original cases, plus the connected_with pairs
+ * @param {Object} caseItem - Case document
+ * @param {string} userId - User viewing the family
+ * @returns {Promise<{roots: Object[], connections: Object[], size: number, truncated: boolean}>}
+ */
+const getCaseFamily = async (caseItem, userId) => {
+  const nodes = new Map();
+  const expanded = new Set();
+  let frontier = [idString(caseItem._id)];
+
+  // Breadth-first over links in both directions
+  while (frontier.length && nodes.size < MAX_FAMILY_SIZE) {
+    frontier.forEach(id => expanded.add(id));
+    const batch = await Case.find({
+      $or: [{ _id: { $in: frontier } }, { 'links.case': { $in: frontier } }],
+    }).select(`${SUMMARY_FIELDS} links`).lean();
+
+    const next = new Set();
+    batch.forEach((found) => {
+      const id = idString(found._id);
+      nodes.set(id, found);
+      [id, ...(found.links || []).map(link => idString(link.case))]
+        .filter(other => !expanded.has(other))
+        .forEach(other => next.add(other));
+    });
+    frontier = [...next];
+  }
+
+  const readable = await readableIdsAmong([...nodes.keys()], userId);
+  const view = (id) => (readable.has(id) ? summarize(nodes.get(id)) : restricted(id));
+
+  // Parent edges, keyed by the parent, and the connected pairs
+  const children = new Map();
+  const connections = [];
+  const hasParent = new Set();
+  nodes.forEach((node, id) => {
+    (node.links || []).forEach((link) => {
+      const target = idString(link.case);
+      if (!nodes.has(target)) return;
+      if (LINK_TYPES[link.type].parent) {
+        hasParent.add(id);
+        if (!children.has(target)) children.set(target, []);
+        children.get(target).push({ id, type: link.type });
+      } else {
+        connections.push({ type: link.type, from: view(id), to: view(target) });
+      }
+    });
+  });
+
+  const buildTree = (id, link) => ({
+    case: view(id),
+    ...(link && { type: link.type, relation: LINK_TYPES[link.type].label }),
+    current: id === idString(caseItem._id),
+    children: (children.get(id) || []).map(child => buildTree(child.id, child)),
+  });
+  const roots = [...nodes.keys()].filter(id => !hasParent.has(id)).map(id => buildTree(id));
+
+  return {
+    roots,
+    connections,
+    size: nodes.size,
+    truncated: nodes.size >= MAX_FAMILY_SIZE,
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Earlier cases the user can read that share a party with new case data;
+ * likely parents for an appeal, revision or execution petition
+ * @param {Object} caseData - Case being created
+ * @param {string} userId - User creating it
+ * @returns {Promise<Object[]>}
+ */
+const suggestParentCases = async (caseData, userId) => {
+  const parties = caseData.parties || {};
+  const names = [...(parties.petitioner || []), ...(parties.respondent || [])]
+    .map(party => (party.name || '').trim())
+    .filter(Boolean);
+  if (!names.length) return [];
+
+  const patterns = names.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i'));
+  const candidates = await Case.find({
+    $and: [
+      await readableCaseFilter(userId),
+      { $or: [{ 'parties.petitioner.name': { $in: patterns } }, { 'parties.respondent.name': { $in: patterns } }] },
+      ...(caseData._id ? [{ _id: { $ne: caseData._id } }] : []),
+    ],
+  })
+    .select(SUMMARY_FIELDS)
+    .sort({ filingDate: -1 })
+    .limit(5)
+    .lean();
+
+  return candidates.map(summarize);
+};
+
+module.exports = {
+  LINK_TYPES,
+  PARENT_LINK_FOR_CASE_TYPE,
+  REQUIRE_PARENT_CASE,
+  validateLink,
+  getRelatedCases,
+  getCaseFamily,
+  suggestParentCases,
+};
@@ -0,0 +1,158 @@
+// utils/caseNumber.js
+// Parsing and validation of case identifiers: eCourts CNR numbers and the
+// "<type> <number>/<year>" filing and registration numbers courts issue.
+
+const { CASE_NUMBER_FORMATS, CODE_ALIASES } = require('../config/caseNumberFormats');
+
+const EARLIEST_YEAR = 1950;
+
+// CNR: 2-letter state code, 2-letter district code, 2-digit establishment
+// code, 6-digit serial and 4-digit filing year, e.g. KABC010012342024.
+// The CNR carries no check digit; see parseCnr for what is validated.
+const CNR_PATTERN = /^([A-Z]{2})([A-Z]{2})(\d{2})(\d{6})(\d{4})$/;
+
+// "O.S. No. 1234 of 2024", "WP(C) 5678/2023", "CC-12-2021" ...
+const NUMBER_PATTERN = /^(.*?)[\s.\-/]*(\d{1,7})\s*(?:\/|-|\bOF\b)\s*(\d{4})$/;
+
+const isPlausibleYear = (year) => year >= EARLIEST_YEAR && year <= new Date().getFullYear();
+
+const normalizeCnr = (value) => String(value || '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Validate a CNR and split it into its components. Checks the format, a
+ * non-zero serial and a plausible filing year; there is no checksum to verify.
+ * @param {string} value - CNR as entered; spaces and hyphens are ignored
+ * @returns {{ cnr?: string, parts?: Object, error?: string }}
+ */
+const parseCnr = (value) => {
+  const cnr = normalizeCnr(value);
+  const match = CNR_PATTERN.exec(cnr);
+  if (!match) {
+    return { error: 'CNR must be 16 characters: 4 letters followed by 12 digits (e.g. KABC010012342024)' };
+  }
+
+  const [, state, district, establishment, serial, year] = match;
+  if (Number(serial) === 0) {
+    return { error: 'CNR serial number cannot be zero' };
+  }
+  if (!isPlausibleYear(Number(year))) {
+    return { error: `CNR year ${year} is not a valid filing year` };
+  }
+
+  return {
+    cnr,
+    parts: { state, district, establishment, serial: Number(serial), year: Number(year) },
+  };
+};
+
+/**
+ * Parse a filing or registration number such as "O.S. 1234/2024"
+ * @param {string} value - Number as entered
+ * @param {string} [courtType] - Case.courtType; limits the accepted type codes
+ * @param {Object} [options]
+ * @param {boolean} [options.requireCode=true] - Filing numbers may omit the type
+ * @returns {{ parts?: { code: string|null, number: number, year: number, normalized: string }, error?: string }}
+ */
+const parseCaseNumber = (value, courtType, { requireCode = true } = {}) => {
+  const text = String(value || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\bNO\.?(?=[\s\d]|$)/g, ' ')
+    .trim();
+
+  const format = CASE_NUMBER_FORMATS[courtType];
+  const example = format ? format.example : 'O.S. 1234/2024';
+
+  const match = NUMBER_PATTERN.exec(text);
+  if (!match) {
+    return { error: `Case number should look like "${example}"` };
+  }
+
+  const rawCode = match[1].replace(/[^A-Z0-9]/g, '');
+  const code = rawCode ? (CODE_ALIASES[rawCode] || rawCode) : null;
+  const number = Number(match[2]);
+  const year = Number(match[3]);
+
+  if (!code && requireCode) {
+    return { error: `Case number is missing the case type (e.g. "${example}")` };
+  }
+  if (code && format && format.codes && !format.codes[code]) {
+    return {
+      error: `"${match[1].trim()}" is not a ${format.label} case type. Expected one of: ${Object.keys(format.codes).join(', ')}`,
+    };
+  }
+  if (number === 0) {
+    return { error: 'Case number cannot be zero' };
+  }
+  if (!isPlausibleYear(year)) {
+    return { error: `${year} is not a valid case year` };
+  }
+
+  return {
+    parts: {
+      code,
+      number,
+      year,
+      normalized: code ? `${code}/${number}/${year}` : `${number}/${year}`,
+    },
+  };
+};
+
+/**
+ * Validate and normalise the identifiers on case data
+ * @param {Object} data - Case fields: caseNumber, filingNumber, cnrNumber, courtType
+ * @returns {{ errors: string[], values: Object }} Values to store on the case
+ */
+const identifyCase = (data) => {
+  const errors = [];
+  const values = {};
+  const courtType = data.courtType || 'district_court';
+
+  if (data.caseNumber) {
+    const { parts, error } = parseCaseNumber(data.caseNumber, courtType);
+    if (error) errors.push(error);
+    values.caseNumber = String(data.caseNumber).trim();
+    values.caseNumberParts = parts || null;
+  }
+
+  if (data.filingNumber) {
+    const { parts, error } = parseCaseNumber(data.filingNumber, courtType, { requireCode: false });
+    if (error) errors.push(`Filing number: ${error}`);
+    values.filingNumber = String(data.filingNumber).trim();
+    values.filingNumberParts = parts || null;
+  } else if (data.filingNumber !== undefined) {
+    values.filingNumber = null;
+    values.filingNumberParts = null;
+  }
+
+  if (data.cnrNumber) {
+    const { cnr, error } = parseCnr(data.cnrNumber);
+    if (error) errors.push(error);
+    values.cnrNumber = cnr || normalizeCnr(data.cnrNumber);
+  } else if (data.cnrNumber !== undefined) {
+    values.cnrNumber = null;
+  }
+
+  return { errors, values };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex matching the raw spellings of a parsed number, for cases saved
+ * before numbers were parsed ("OS 1234/2024" also finds "O.S.No.01234 of 2024")
+ * @param {Object} parts - Output of parseCaseNumber
+ * @returns {RegExp}
+ */
+const looseNumberPattern = (parts) => {
+  const code = parts.code ? parts.code.split('').map(escapeRegex).join('[\\W_]*') : '';
+  return new RegExp(`^[\\W_]*${code}[\\W_]*(?:NO[\\W_]*)?0*${parts.number}\\s*(?:/|-|OF)\\s*${parts.year}[\\W_]*$`, 'i');
+};
+
+module.exports = {
+  normalizeCnr,
+  parseCnr,
+  parseCaseNumber,
+  identifyCase,
+  looseNumberPattern,
+};
@@ -0,0 +1,144 @@
+// utils/caseTemplates.js
+// Opening cases from firm templates: prefilled fields, the document
+// checklist, the stage plan and the template's relative-dated events.
+
+const mongoose = require('mongoose');
+const CaseTemplate = require('../models/caseTemplate.model');
+const Document = require('../models/document.model');
+const Event = require('../models/event.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Case fields a template may prefill
+const PREFILL_FIELDS = Object.keys(CaseTemplate.schema.paths)
+  .filter(path => path.startsWith('prefill.'))
+  .map(path => path.slice('prefill.'.length));
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Fill new case data from a template. Values given for the case win over
+ * the template's prefill.
+ * @param {Object} template - CaseTemplate version
+ * @param {Object} caseData - Data the case will be created with; updated in place
+ */
+const applyTemplate = (template, caseData) => {
+  const prefill = template.prefill || {};
+  PREFILL_FIELDS.forEach((field) => {
+    if (!isBlank(prefill[field]) && isBlank(caseData[field])) {
+      caseData[field] = prefill[field];
+    }
+  });
+
+  caseData.template = {
+    template: template._id,
+    key: template.key,
+    version: template.version,
+    name: template.name,
+  };
+
+  caseData.documentChecklist = template.documentChecklist.map(({ category, label, required }) => ({
+    category,
+    label,
+    required,
+  }));
+
+  // Each stage is due its expected number of days after the one before
+  let due = new Date(caseData.filingDate || Date.now());
+  caseData.stagePlan = template.stagePlan.map(({ stage, label, expectedDays }) => {
+    const step = { stage, label, expectedDays };
+    if (expectedDays !== undefined && expectedDays !== null) {
+      due = addDays(due, expectedDays);
+      step.dueDate = due;
+    }
+    return step;
+  });
+
+  if (isBlank(caseData.caseStage) && caseData.stagePlan.length > 0) {
+    caseData.caseStage = caseData.stagePlan[0].stage;
+  }
+};
+
+/**
+ * Create a template's events for a new case. Events whose date has already
+ * passed (a backdated filing date) are skipped and reported.
+ * @param {Object} template - CaseTemplate version the case was opened from
+ * @param {Object} caseItem - The new case
+ * @param {string} userId - User creating the case
+ * @returns {Promise<{created: Object[], skipped: Object[]}>}
+ */
+const createTemplateEvents = async (template, caseItem, userId) => {
+  const created = [];
+  const skipped = [];
+  const earliest = Date.now() - 60 * MINUTE_MS;
+
+  for (const planned of template.events) {
+    const base = planned.from === 'filing' && caseItem.filingDate ? caseItem.filingDate : caseItem.createdAt;
+    const start = addDays(base, planned.offsetDays);
+
+    if (start.getTime() < earliest) {
+      skipped.push({ title: planned.title, date: start, reason: 'Date has already passed' });
+      continue;
+    }
+
+    const event = await Event.create({
+      title: planned.title,
+      description: planned.description,
+      start,
+      end: new Date(start.getTime() + planned.durationMinutes * MINUTE_MS),
+      type: planned.type,
+      priority: planned.priority,
+      case: caseItem._id,
+      caseTitle: caseItem.title,
+      caseNumber: caseItem.caseNumber,
+      firm: caseItem.firm,
+      location: caseItem.court || 'Court',
+      createdBy: userId,
+      status: 'scheduled',
+    });
+    created.push(event);
+  }
+
+  if (created.length > 0) {
+    await mongoose.model('Case').updateOne(
+      { _id: caseItem._id },
+      { $push: { events: { $each: created.map(event => event._id) } } }
+    );
+  }
+
+  return { created, skipped };
+};
+
+/**
+ * A case's document checklist with the documents uploaded against each item
+ * @param {Object} caseItem - Case document
+ * @returns {Promise<{items: Object[], complete: boolean, missing: string[]}>}
+ */
+const getChecklistStatus = async (caseItem) => {
+  const counts = await Document.aggregate([
+    { $match: { case: caseItem._id } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+  const countOf = (category) => (counts.find(c => c._id === category) || { count: 0 }).count;
+
+  const items = (caseItem.documentChecklist || []).map(item => ({
+    category: item.category,
+    label: item.label,
+    required: item.required,
+    documents: countOf(item.category),
+    satisfied: countOf(item.category) > 0,
+  }));
+  const missing = items.filter(item => item.required && !item.satisfied).map(item => item.label);
+
+  return { items, complete: missing.length === 0, missing };
+};
+
+module.exports = {
+  PREFILL_FIELDS,
+  applyTemplate,
+  createTemplateEvents,
+  getChecklistStatus,
+};
@@ -0,0 +1,299 @@
+// utils/caseWorkflow.js
+// The case stage workflow: checks a stage or status change against
+// config/caseWorkflow.js, keeps the stage history and runs entry actions.
+
+const mongoose = require('mongoose');
+const CaseHistory = require('../models/caseHistory.model');
+const Event = require('../models/event.model');
+const Notification = require('../models/notification.model');
+const logger = require('./logger');
+const { getChecklistStatus } = require('./caseTemplates');
+const { caseWorkflow, STAGE_LABELS, CASE_OUTCOMES, EARLY_OUTCOMES } = require('../config/caseWorkflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EVENT_DURATION = 60 * 60 * 1000;
+
+// Stages at which the court has decided the case
+const DECIDED_STAGES = ['judgment', 'execution', 'appeal'];
+
+// Each guard returns why the change is not allowed, or null
+const GUARDS = {
+  checklistComplete: async (caseItem) => {
+    const { complete, missing } = await getChecklistStatus(caseItem);
+    return complete ? null : `Required documents are missing: ${missing.join(', ')}`;
+  },
+  hasOutcome: (caseItem, change) => (change.outcome || caseItem.outcome
+    ? null
+    : `Give the case outcome (one of: ${CASE_OUTCOMES.join(', ')}) to close it`),
+  decidedOrSettled: (caseItem, change) => {
+    const outcome = change.outcome || caseItem.outcome;
+    if (DECIDED_STAGES.includes(caseItem.caseStage) || EARLY_OUTCOMES.includes(outcome)) return null;
+    return `A case can only be closed before judgment if it was ${EARLY_OUTCOMES.join(', ')}`;
+  },
+  hasReason: (caseItem, change) => (change.reason && change.reason.trim()
+    ? null
+    : 'Give a reason for reopening the case'),
+};
+
+const STAGE_ORDER = Object.keys(STAGE_LABELS);
+
+const labelOf = (stage) => STAGE_LABELS[stage] || stage;
+
+/**
+ * The workflow for a case type: the default, with the parts the case type
+ * defines replaced. A case at a stage its type does not use (recorded before
+ * the workflow, or before its type changed) moves on to the next stage the
+ * type does use.
+ * @param {string} caseType
+ * @returns {Object}
+ */
+const getWorkflow = (caseType) => {
+  const workflow = { ...caseWorkflow.default, ...caseWorkflow.byCaseType[caseType] };
+  const transitions = { ...workflow.transitions };
+  STAGE_ORDER.forEach((stage, index) => {
+    if (transitions[stage]) return;
+    const next = STAGE_ORDER.slice(index + 1).find(later => workflow.transitions[later]);
+    transitions[stage] = next ? [next] : [];
+  });
+  return { ...workflow, transitions };
+};
+
+/**
+ * Check a change against the workflow
+ * @param {Object} caseItem - Case document or plain object
+ * @param {Object} change - { stage } or { status }, with optional outcome and reason
+ * @param {Object} [options]
+ * @param {boolean} [options.enforce=true] - Check the stage is reachable from the current one.
+ *   Off for moves the court made, such as judgment being reserved at a hearing.
+ * @returns {Promise<{kind?: string, rule?: Object, errors: string[]}>}
+ */
+const checkTransition = async (caseItem, change, { enforce = true } = {}) => {
+  const workflow = getWorkflow(caseItem.caseType);
+  const errors = [];
+  let kind;
+  let rule;
+
+  if (change.outcome && !CASE_OUTCOMES.includes(change.outcome)) {
+    return { errors: [`Outcome must be one of: ${CASE_OUTCOMES.join(', ')}`] };
+  }
+
+  if (change.stage) {
+    kind = 'stage';
+    rule = workflow.enter[change.stage] || {};
+    const next = workflow.transitions[caseItem.caseStage] || [];
+    if (!STAGE_LABELS[change.stage]) {
+      errors.push(`Case stage must be one of: ${Object.keys(STAGE_LABELS).join(', ')}`);
+    } else if (caseItem.status === 'closed') {
+      errors.push('Reopen the case before changing its stage');
+    } else if (change.stage === caseItem.caseStage) {
+      errors.push(`The case is already at ${labelOf(change.stage)}`);
+    } else if (enforce && !next.includes(change.stage)) {
+      errors.push(next.length
+        ? `A ${caseItem.caseType} case at ${labelOf(caseItem.caseStage)} can only move to: ${next.map(labelOf).join(', ')}`
+        : `${labelOf(caseItem.caseStage)} is the last stage for a ${caseItem.caseType} case`);
+    }
+  } else if (change.status === 'closed') {
+    kind = 'close';
+    rule = workflow.close;
+    if (caseItem.status === 'closed') errors.push('The case is already closed');
+  } else if (change.status === 'active') {
+    kind = 'reopen';
+    rule = workflow.reopen;
+    if (caseItem.status !== 'closed') errors.push('The case is not closed');
+  } else {
+    return { errors: ['Give the stage to move to, or a status of closed or active'] };
+  }
+
+  if (errors.length) return { kind, rule, errors };
+
+  for (const name of rule.guards || []) {
+    const problem = await GUARDS[name](caseItem, change);
+    if (problem) errors.push(problem);
+  }
+  return { kind, rule, errors };
+};
+
+/**
+ * The stage history entry for a case from before the stage history: its
+ * current stage, entered at the last recorded stage change or when the case
+ * was opened, and left when the case was closed
+ * @param {Object} caseItem - Case document or plain object
+ * @returns {Promise<Object>}
+ */
+const initialStageEntry = async (caseItem) => {
+  const last = await CaseHistory.findOne({ case: caseItem._id, 'changes.field': 'caseStage' })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+  const enteredAt = last ? last.createdAt : caseItem.createdAt;
+  return {
+    stage: caseItem.caseStage,
+    enteredAt,
+    ...(caseItem.status === 'closed' && { exitedAt: caseItem.closedAt || caseItem.updatedAt || enteredAt }),
+  };
+};
+
+/**
+ * Check a change and apply it to the case document, without saving.
+ * Run the returned plan's actions with runTransitionActions once saved.
+ * @param {Object} caseItem - Case document
+ * @param {Object} change - As for checkTransition
+ * @param {Object} user - User making the change
+ * @param {Object} [options] - As for checkTransition
+ * @returns {Promise<{errors: string[], plan?: Object}>}
+ */
+const prepareTransition = async (caseItem, change, user, options) => {
+  const { kind, rule, errors } = await checkTransition(caseItem, change, options);
+  if (errors.length) return { errors };
+
+  const now = new Date();
+  if (caseItem.stageHistory.length === 0) {
+    caseItem.stageHistory.push(await initialStageEntry(caseItem));
+  }
+  const open = caseItem.stageHistory.find(entry => !entry.exitedAt);
+  const from = { stage: caseItem.caseStage, status: caseItem.status };
+
+  if (kind === 'stage') {
+    if (open) open.exitedAt = now;
+    caseItem.stageHistory.push({ stage: change.stage, enteredAt: now, enteredBy: user._id, note: change.reason });
+    caseItem.caseStage = change.stage;
+  } else if (kind === 'close') {
+    if (open) open.exitedAt = now;
+    caseItem.status = 'closed';
+    caseItem.closedAt = now;
+    caseItem.outcome = change.outcome || caseItem.outcome;
+  } else {
+    // Time closed doesn't count towards the stage
+    caseItem.stageHistory.push({ stage: caseItem.caseStage, enteredAt: now, enteredBy: user._id, note: change.reason });
+    caseItem.status = 'active';
+    caseItem.closedAt = undefined;
+    caseItem.outcome = undefined;
+  }
+
+  return { errors: [], plan: { kind, rule, from, change } };
+};
+
+const describeTransition = (caseItem, plan) => {
+  if (plan.kind === 'stage') return `${caseItem.title} moved from ${labelOf(plan.from.stage)} to ${labelOf(caseItem.caseStage)}`;
+  if (plan.kind === 'close') return `${caseItem.title} was closed (${caseItem.outcome})`;
+  return `${caseItem.title} was reopened`;
+};
+
+// Linked team members other than the user who made the change
+const teamUserIds = (caseItem, user) => {
+  const ids = [caseItem.lawyer, ...(caseItem.lawyers || []).map(lawyer => lawyer.user)]
+    .filter(Boolean)
+    .map(String);
+  return [...new Set(ids)].filter(id => id !== String(user._id));
+};
+
+/**
+ * Run the entry actions of an applied transition. Failures are logged
+ * rather than undoing the change.
+ * @param {Object} plan - From prepareTransition
+ * @param {Object} caseItem - The saved case
+ * @param {Object} user - User who made the change
+ * @returns {Promise<{events: Object[], notified: number}>}
+ */
+const runTransitionActions = async (plan, caseItem, user) => {
+  const effects = { events: [], notified: 0 };
+
+  for (const action of plan.rule.actions || []) {
+    try {
+      if (action.type === 'event') {
+        const start = new Date(Date.now() + action.offsetDays * DAY_MS);
+        const event = await Event.create({
+          title: action.title,
+          description: `${action.title} - ${caseItem.title}`,
+          start,
+          end: new Date(start.getTime() + EVENT_DURATION),
+          type: action.eventType,
+          case: caseItem._id,
+          caseTitle: caseItem.title,
+          caseNumber: caseItem.caseNumber,
+          firm: caseItem.firm,
+          location: caseItem.court || 'Court',
+          createdBy: user._id,
+          status: 'scheduled',
+        });
+        await mongoose.model('Case').updateOne({ _id: caseItem._id }, { $push: { events: event._id } });
+        effects.events.push(event);
+      } else if (action.type === 'notify') {
+        const recipients = teamUserIds(caseItem, user);
+        await Notification.insertMany(recipients.map(recipient => ({
+          user: recipient,
+          type: 'case',
+          message: describeTransition(caseItem, plan),
+          link: `/dashboard/cases/${caseItem._id}`,
+          meta: { caseId: caseItem._id, stage: caseItem.caseStage, status: caseItem.status },
+        })));
+        effects.notified += recipients.length;
+      }
+    } catch (error) {
+      logger.error(`Workflow action ${action.type} failed for case ${caseItem._id}: ${error.message}`);
+    }
+  }
+
+  return effects;
+};
+
+/**
+ * Where a case can go from here, with the guards each move would fail
+ * @param {Object} caseItem - Case document
+ * @returns {Promise<Object[]>}
+ */
+const getAvailableTransitions = async (caseItem) => {
+  const workflow = getWorkflow(caseItem.caseType);
+  const candidates = caseItem.status === 'closed'
+    ? [{ status: 'active' }]
+    : [...(workflow.transitions[caseItem.caseStage] || []).map(stage => ({ stage })), { status: 'closed' }];
+
+  const available = [];
+  for (const change of candidates) {
+    const { errors } = await checkTransition(caseItem, change);
+    available.push({
+      ...change,
+      label: change.stage ? labelOf(change.stage) : (change.status === 'closed' ? 'Close case' : 'Reopen case'),
+      // Closing and reopening also list the outcome or reason they need
+      blockedBy: errors,
+    });
+  }
+  return available;
+};
+
+/**
+ * The case's stages with the time spent in each, and the template's due
+ * date where there is one
+ * @param {Object} caseItem - Case document
+ * @returns {Object[]}
+ */
+const getStageTimeline = (caseItem) => {
+  const now = Date.now();
+  return (caseItem.stageHistory || []).map((entry) => {
+    const planned = (caseItem.stagePlan || []).find(step => step.stage === entry.stage);
+    const end = entry.exitedAt ? entry.exitedAt.getTime() : now;
+    return {
+      stage: entry.stage,
+      label: labelOf(entry.stage),
+      enteredAt: entry.enteredAt,
+      exitedAt: entry.exitedAt || null,
+      current: !entry.exitedAt && caseItem.status !== 'closed',
+      durationDays: Math.round(((end - entry.enteredAt.getTime()) / DAY_MS) * 10) / 10,
+      note: entry.note,
+      ...(planned && planned.dueDate && {
+        dueDate: planned.dueDate,
+        overdue: end > planned.dueDate.getTime(),
+      }),
+    };
+  });
+};
+
+module.exports = {
+  DECIDED_STAGES,
+  getWorkflow,
+  checkTransition,
+  initialStageEntry,
+  prepareTransition,
+  runTransitionActions,
+  getAvailableTransitions,
+  getStageTimeline,
+};
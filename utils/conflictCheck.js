@@ -0,0 +1,222 @@
+// utils/conflictCheck.js
+// Conflict-of-interest search: looks for prospective parties among the people
+// on cases the user's practice has handled.
+
+const Case = require('../models/case.model');
+const ConflictCheck = require('../models/conflictCheck.model');
+const { readableCaseFilter } = require('./policy');
+const { getFirmId } = require('./firmAccess');
+
+// Names at or above this similarity are reported
+const NAME_MATCH_THRESHOLD = parseFloat(process.env.CONFLICT_NAME_THRESHOLD) || 0.82;
+
+// Dropped before comparing names so "Shri R. Kumar" matches "R Kumar"
+const NAME_NOISE = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'sri', 'smt', 'kumari', 'km', 'adv', 'advocate',
+  'm/s', 'ms/', 'messrs', 'the', 'and', '&',
+  'pvt', 'private', 'ltd', 'limited', 'llp', 'inc', 'co', 'corp', 'corporation', 'company',
+]);
+
+const normalizeName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(/[.,()'"]/g, ' ')
+  .split(/\s+/)
+  .filter(token => token && !NAME_NOISE.has(token))
+  .join(' ');
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Indian numbers are compared on their last ten digits, ignoring +91 / 0 prefixes
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : '';
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const ratio = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - levenshtein(a, b) / longest : 1;
+};
+
+/**
+ * Similarity of two names between 0 and 1. Takes the better of a whole-string
+ * comparison and a word-order-insensitive one, so "Kumar Ramesh" matches
+ * "Ramesh Kumar" and initials don't sink an otherwise close match.
+ */
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const sorted = (name) => name.split(' ').sort().join(' ');
+  return Math.max(ratio(left, right), ratio(sorted(left), sorted(right)));
+};
+
+// Every person recorded on a case, with the role they held
+const peopleOnCase = (caseItem) => {
+  const people = [];
+  const parties = caseItem.parties || {};
+  (parties.petitioner || []).forEach(p => people.push({ ...p, role: 'petitioner', label: p.role || 'Petitioner' }));
+  (parties.respondent || []).forEach((p) => {
+    people.push({ ...p, role: 'respondent', label: p.role || 'Respondent' });
+    if (p.opposingCounsel) {
+      people.push({ name: p.opposingCounsel, role: 'opposing_counsel', label: `Counsel for ${p.name}` });
+    }
+  });
+  (caseItem.clients || []).forEach(p => people.push({ ...p, role: 'client', label: 'Client' }));
+  (caseItem.stakeholders || []).forEach(p => people.push({ ...p, role: 'stakeholder', label: p.roleInCase || 'Stakeholder' }));
+  return people;
+};
+
+/**
+ * Collect the people a new matter involves from a case-shaped body
+ * (parties, clients, stakeholders)
+ * @param {Object} body
+ * @returns {Object[]} Subjects with name, email, phone and intended role
+ */
+const subjectsFromCase = ({ parties = {}, clients = [], stakeholders = [] }) => {
+  const subjects = [];
+  (parties.petitioner || []).forEach(p => subjects.push({ name: p.name, email: p.email, phone: p.contact, role: 'petitioner' }));
+  (parties.respondent || []).forEach((p) => {
+    subjects.push({ name: p.name, email: p.email, phone: p.contact, role: 'respondent' });
+    if (p.opposingCounsel) subjects.push({ name: p.opposingCounsel, role: 'opposing_counsel' });
+  });
+  (clients || []).forEach(p => subjects.push({ name: p.name, email: p.email, phone: p.contact, role: 'client' }));
+  (stakeholders || []).forEach(p => subjects.push({ name: p.name, email: p.email, phone: p.contact, role: 'stakeholder' }));
+  return subjects.filter(s => s.name || s.email || s.phone);
+};
+
+// How strongly a person on an existing case matches a subject, or null
+const matchPerson = (subject, person) => {
+  const matchedOn = [];
+  let score = 0;
+
+  const email = normalizeEmail(subject.email);
+  if (email && email === normalizeEmail(person.email)) {
+    matchedOn.push('email');
+    score = 1;
+  }
+
+  const phone = normalizePhone(subject.phone);
+  if (phone && phone === normalizePhone(person.contact)) {
+    matchedOn.push('phone');
+    score = 1;
+  }
+
+  if (subject.name && person.name) {
+    const similarity = nameSimilarity(subject.name, person.name);
+    if (similarity >= NAME_MATCH_THRESHOLD) {
+      matchedOn.push('name');
+      score = Math.max(score, similarity);
+    }
+  }
+
+  return matchedOn.length ? { score, matchedOn } : null;
+};
+
+/**
+ * Search the user's cases for the given people
+ * @param {Object} user - User running the check; only cases they can read are searched
+ * @param {Object[]} subjects - { name, email, phone, role }
+ * @param {Object} [options]
+ * @param {*} [options.excludeCaseId] - Case to leave out (when re-checking an existing case)
+ * @returns {Promise<Object[]>} Hits, strongest first
+ */
+const runConflictCheck = async (user, subjects, { excludeCaseId } = {}) => {
+  const filter = await readableCaseFilter(user._id);
+  if (excludeCaseId) filter._id = { $ne: excludeCaseId };
+
+  const hits = [];
+  const cursor = Case.find(filter)
+    .select('title caseNumber status caseType parties clients stakeholders updatedAt')
+    .lean()
+    .cursor();
+
+  for await (const caseItem of cursor) {
+    const people = peopleOnCase(caseItem);
+    subjects.forEach((subject, subjectIndex) => {
+      people.forEach((person) => {
+        const match = matchPerson(subject, person);
+        if (!match) return;
+        hits.push({
+          subject: { index: subjectIndex, name: subject.name, role: subject.role },
+          case: {
+            id: caseItem._id,
+            title: caseItem.title,
+            caseNumber: caseItem.caseNumber,
+            status: caseItem.status,
+          },
+          person: { name: person.name, email: person.email, contact: person.contact },
+          role: person.role,
+          roleLabel: person.label,
+          matchedOn: match.matchedOn,
+          score: Math.round(match.score * 100) / 100,
+          updatedAt: caseItem.updatedAt,
+        });
+      });
+    });
+  }
+
+  return hits.sort((a, b) => (b.score - a.score) || (new Date(b.updatedAt) - new Date(a.updatedAt)));
+};
+
+/**
+ * Run a conflict check and keep a record of it
+ * @param {Object} user - User running the check
+ * @param {Object[]} subjects
+ * @returns {Promise<Object>} The saved ConflictCheck
+ */
+const recordConflictCheck = async (user, subjects) => {
+  const hits = await runConflictCheck(user, subjects);
+  return ConflictCheck.create({
+    performedBy: user._id,
+    firm: await getFirmId(user._id),
+    subjects,
+    hits,
+    status: hits.length ? 'conflicts' : 'clear',
+  });
+};
+
+// Whether a saved check covered everyone in `subjects`, so a case can't be
+// opened on a check that was run for different people
+const checkCovers = (check, subjects) => {
+  const checked = check.subjects.map(s => ({
+    name: normalizeName(s.name),
+    email: normalizeEmail(s.email),
+    phone: normalizePhone(s.phone),
+  }));
+  return subjects.every((subject) => {
+    const name = normalizeName(subject.name);
+    const email = normalizeEmail(subject.email);
+    const phone = normalizePhone(subject.phone);
+    return checked.some(c => (name && c.name === name) || (email && c.email === email) || (phone && c.phone === phone));
+  });
+};
+
+module.exports = {
+  NAME_MATCH_THRESHOLD,
+  nameSimilarity,
+  subjectsFromCase,
+  runConflictCheck,
+  recordConflictCheck,
+  checkCovers,
+};
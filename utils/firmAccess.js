@@ -0,0 +1,41 @@
+// utils/firmAccess.js
+// Firm membership lookups used by the authorization policies and list queries
+
+const Firm = require('../models/firm.model');
+
+/**
+ * Get the user's firm and role in it
+ * @param {string} userId
+ * @returns {Promise<{firm: Object, role: string}|null>}
+ */
+const getFirmMembership = async (userId) => {
+  const firm = await Firm.findByMember(userId);
+  if (!firm) return null;
+  return { firm, role: firm.getMemberRole(userId) };
+};
+
+/**
+ * Get the user's role in the firm owning a record (case, document or event)
+ * @param {string} userId
+ * @param {Object} resource - Document with an optional `firm` reference
+ * @returns {Promise<string|null>} partner | associate | clerk, or null
+ */
+const getFirmRole = async (userId, resource) => {
+  if (!resource || !resource.firm) return null;
+
+  const firmId = resource.firm._id || resource.firm;
+  const firm = await Firm.findOne({ _id: firmId, 'members.user': userId });
+  return firm ? firm.getMemberRole(userId) : null;
+};
+
+/**
+ * Get the id of the user's firm, for adding `{ firm }` to list queries
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+const getFirmId = async (userId) => {
+  const firm = await Firm.findByMember(userId).select('_id');
+  return firm ? firm._id : null;
+};
+
+module.exports = { getFirmMembership, getFirmRole, getFirmId };
@@ -0,0 +1,86 @@
+// utils/impersonation.js
+// Support staff acting as a user: starting an impersonation and auditing
+// everything done under it.
+
+const Impersonation = require('../models/impersonation.model');
+const ImpersonationLog = require('../models/impersonationLog.model');
+const Notification = require('../models/notification.model');
+const { generateAccessToken } = require('./jwt');
+const { getClientIp } = require('./authTokens');
+const logger = require('./logger');
+
+const DEFAULT_DURATION_MINUTES = 15;
+const MAX_DURATION_MINUTES = 60;
+
+/**
+ * Start impersonating a user. The returned access token has no refresh token
+ * and dies with the impersonation.
+ * @param {Object} req - Express request made by the admin
+ * @param {Object} target - User document to act as
+ * @param {Object} options
+ * @param {string} options.reason - Why access is needed
+ * @param {number} [options.minutes] - Duration, capped at MAX_DURATION_MINUTES
+ * @returns {Promise<{impersonation: Object, token: string}>}
+ */
+const startImpersonation = async (req, target, { reason, minutes }) => {
+  const duration = Math.min(Math.max(parseInt(minutes, 10) || DEFAULT_DURATION_MINUTES, 1), MAX_DURATION_MINUTES);
+
+  const impersonation = await Impersonation.create({
+    admin: req.user._id,
+    target: target._id,
+    reason,
+    ip: getClientIp(req),
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + duration * 60 * 1000),
+  });
+
+  const token = generateAccessToken(
+    target,
+    { imp: impersonation.id, act: req.user._id },
+    { expiresIn: duration * 60 }
+  );
+
+  // The account holder can see that support looked at their account
+  await Notification.create({
+    user: target._id,
+    type: 'security',
+    message: `Support staff accessed your account to help with: ${reason}`,
+    link: '/dashboard/settings/security',
+    meta: { impersonationId: impersonation._id },
+  });
+
+  return { impersonation, token };
+};
+
+/**
+ * Record an impersonated request in the audit trail once its response is sent
+ * @param {Object} req - Express request with req.impersonation set
+ * @param {Object} res - Express response
+ */
+const auditImpersonatedRequest = (req, res) => {
+  const { impersonation } = req;
+
+  res.on('finish', async () => {
+    try {
+      await ImpersonationLog.create({
+        impersonation: impersonation._id,
+        admin: impersonation.admin,
+        target: impersonation.target,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        statusCode: res.statusCode,
+        ip: getClientIp(req),
+      });
+      await Impersonation.updateOne({ _id: impersonation._id }, { $inc: { actionCount: 1 } });
+    } catch (error) {
+      logger.error(`Impersonation audit error: ${error.message}`);
+    }
+  });
+};
+
+module.exports = {
+  DEFAULT_DURATION_MINUTES,
+  MAX_DURATION_MINUTES,
+  startImpersonation,
+  auditImpersonatedRequest,
+};
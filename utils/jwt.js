@@ -2,27 +2,31 @@ const jwt = require('jsonwebtoken');
 const logger = require('./logger');
 const { v4: uuidv4 } = require('uuid');
 
-// Generate JWT access token
-const generateAccessToken = (user) => {
+// Generate JWT access token. `claims` carries extras such as the session id (`sid`).
+// `expiresIn` overrides the configured lifetime (impersonation tokens).
+const generateAccessToken = (user, claims = {}, { expiresIn } = {}) => {
   return jwt.sign(
     {
+      ...claims,
       id: user._id,
       role: user.role,
       jti: uuidv4()
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+      expiresIn: expiresIn || process.env.JWT_ACCESS_EXPIRE || '15m',
       issuer: 'adhi-api'
     }
   );
 };
 
-// Generate JWT refresh token
-const generateRefreshToken = (user) => {
+// Generate JWT refresh token. `family` ties rotated tokens back to the login
+// that started the chain so the whole chain can be revoked on reuse.
+const generateRefreshToken = (user, family = uuidv4()) => {
   return jwt.sign(
     {
       id: user._id,
+      family,
       jti: uuidv4()
     },
     process.env.JWT_REFRESH_SECRET,
@@ -51,6 +55,30 @@ const verifyToken = (token, secret) => {
   }
 };
 
+// Generate a short-lived single-purpose token (2FA challenge, email links, etc.).
+// `protect` refuses tokens that carry a purpose, so they never act as access tokens.
+const generatePurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign(
+    {
+      ...payload,
+      purpose,
+      jti: uuidv4()
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn,
+      issuer: 'adhi-api'
+    }
+  );
+};
+
+// Verify a single-purpose token, returning null if it is invalid or meant for something else
+const verifyPurposeToken = (token, purpose) => {
+  const decoded = verifyToken(token, process.env.JWT_SECRET);
+  if (!decoded || decoded.purpose !== purpose) return null;
+  return decoded;
+};
+
 // Decode JWT token without verification (useful for extracting payload)
 const decodeToken = (token) => {
   try {
@@ -74,6 +102,8 @@ module.exports = {
   generateAccessToken,
   generateRefreshToken,
   generateTokens,
+  generatePurposeToken,
+  verifyPurposeToken,
   verifyToken,
   decodeToken,
   generateToken
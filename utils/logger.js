@@ -1,7 +1,17 @@
 const winston = require('winston');
+const { getContext } = require('./requestContext');
 
 console.log('Initializing logger');
 
+// Tag every line written while an admin is impersonating a user
+const markImpersonation = winston.format((info) => {
+  const { impersonation } = getContext();
+  if (impersonation) {
+    info.impersonation = `${impersonation.id} (admin ${impersonation.admin} as ${impersonation.target})`;
+  }
+  return info;
+});
+
 const logger = winston.createLogger({
   level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
   format: winston.format.combine(
@@ -10,6 +20,7 @@ const logger = winston.createLogger({
     }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
+    markImpersonation(),
     winston.format.json()
   ),
   defaultMeta: { service: 'legal-case-api' },
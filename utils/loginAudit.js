@@ -0,0 +1,88 @@
+// utils/loginAudit.js
+// Records login attempts and alerts users about sign-ins from new devices
+
+const LoginHistory = require('../models/loginHistory.model');
+const Notification = require('../models/notification.model');
+const Profile = require('../models/profile.model');
+const { sendLoginAlertEmail } = require('./sendgridMailer');
+const { getClientIp } = require('./authTokens');
+const logger = require('./logger');
+
+// A login is from a new device when the user has signed in before but never
+// from this browser, or never from this IP address
+const isNewDevice = async (userId, ip, userAgent) => {
+  const previous = await LoginHistory.exists({ user: userId, success: true });
+  if (!previous) return false;
+
+  const [knownAgent, knownIp] = await Promise.all([
+    LoginHistory.exists({ user: userId, success: true, userAgent }),
+    LoginHistory.exists({ user: userId, success: true, ip }),
+  ]);
+  return !knownAgent || !knownIp;
+};
+
+const sendLoginAlert = async (user, entry) => {
+  const profile = await Profile.findOne({ user: user._id }).select('securitySettings.loginAlerts');
+  const alertsEnabled = !profile || !profile.securitySettings || profile.securitySettings.loginAlerts !== false;
+  if (!alertsEnabled) return;
+
+  const time = entry.createdAt.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+
+  await Notification.create({
+    user: user._id,
+    type: 'security',
+    message: `New sign-in from ${entry.ip || 'an unknown IP address'} on ${time}`,
+    link: '/dashboard/settings/security',
+    meta: { loginHistoryId: entry._id, ip: entry.ip, userAgent: entry.userAgent },
+  });
+
+  await sendLoginAlertEmail(user.email, user.name, {
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    time,
+  });
+};
+
+/**
+ * Record a login attempt. Never throws, so auditing can't break a login.
+ * @param {Object} req - Express request
+ * @param {Object} attempt
+ * @param {Object} [attempt.user] - User document, when the account exists
+ * @param {string} [attempt.email] - Email that was tried
+ * @param {string} attempt.method - 'password' | 'google' | 'magic_link'
+ * @param {boolean} attempt.success
+ * @param {string} [attempt.failureReason]
+ * @param {boolean} [attempt.twoFactor] - Whether a second factor was verified
+ * @param {Date} [attempt.lockedUntil] - Lock placed on the account by this failure
+ */
+const recordLoginAttempt = async (req, { user, email, method, success, failureReason, twoFactor = false, lockedUntil }) => {
+  try {
+    const ip = getClientIp(req);
+    const userAgent = req.get('user-agent');
+    const newDevice = success && user ? await isNewDevice(user._id, ip, userAgent) : false;
+
+    const entry = await LoginHistory.create({
+      user: user ? user._id : undefined,
+      email: email || (user && user.email),
+      method,
+      success,
+      failureReason: success ? undefined : failureReason,
+      twoFactor,
+      lockedUntil,
+      ip,
+      userAgent,
+      newDevice,
+    });
+
+    // Not awaited: a slow or failing mail provider must not hold up the sign-in
+    if (newDevice) {
+      sendLoginAlert(user, entry).catch((error) => {
+        logger.error(`Login alert error for ${user._id}: ${error.message}`);
+      });
+    }
+  } catch (error) {
+    logger.error(`Login audit error: ${error.message}`);
+  }
+};
+
+module.exports = { recordLoginAttempt };
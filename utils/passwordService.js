@@ -0,0 +1,165 @@
+// utils/passwordService.js
+// The one place passwords are checked against the policy, hashed and stored.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { passwordPolicy } = require('../config/passwordPolicy');
+
+const SALT_ROUNDS = 10;
+const BREACHED_LIST_PATH = path.join(__dirname, '..', 'config', 'breachedPasswords.txt');
+
+let breachedPasswords = null;
+
+// Loaded on first use; lines starting with # are comments
+const getBreachedPasswords = () => {
+  if (!breachedPasswords) {
+    breachedPasswords = new Set(
+      fs.readFileSync(BREACHED_LIST_PATH, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return breachedPasswords;
+};
+
+const isBreached = (password) => getBreachedPasswords().has(String(password).toLowerCase());
+
+// bcrypt hashes start with $2a$, $2b$ or $2y$
+const isHash = (value) => /^\$2[aby]\$\d{2}\$/.test(value || '');
+
+/**
+ * Check a candidate password against the policy
+ * @param {string} password
+ * @param {Object} [context] - Email and name, which the password must not contain
+ * @returns {string[]} Problems found; empty when the password is acceptable
+ */
+const checkPolicy = (password, { email, name } = {}) => {
+  if (typeof password !== 'string' || !password) {
+    return ['Password is required'];
+  }
+
+  const errors = [];
+  if (password.length < passwordPolicy.minLength) {
+    errors.push(`Password must be at least ${passwordPolicy.minLength} characters`);
+  }
+  if (password.length > passwordPolicy.maxLength) {
+    errors.push(`Password cannot be longer than ${passwordPolicy.maxLength} characters`);
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  const lower = password.toLowerCase();
+  const localPart = email ? String(email).split('@')[0].toLowerCase() : '';
+  if (localPart.length >= 3 && lower.includes(localPart)) {
+    errors.push('Password must not contain your email address');
+  }
+  if (name && String(name).trim().length >= 3 && lower.includes(String(name).trim().toLowerCase())) {
+    errors.push('Password must not contain your name');
+  }
+
+  if (passwordPolicy.rejectBreached && isBreached(password)) {
+    errors.push('This password has appeared in a data breach. Please choose a different one');
+  }
+
+  return errors;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+const verifyPassword = (user, password) => {
+  if (!password || !user.password) return Promise.resolve(false);
+  return bcrypt.compare(password, user.password);
+};
+
+// Whether the password matches the current one or any kept in the history
+const isReused = async (user, password) => {
+  const previous = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+  for (const hash of previous.slice(0, passwordPolicy.historySize)) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * Validate and set a user's password. The caller saves the user.
+ * Existing users must be loaded with +password +passwordHistory so reuse can be checked.
+ * @param {Object} user - User document
+ * @param {string} password - New plain-text password
+ * @returns {Promise<string[]>} Problems that stopped the change; empty on success
+ */
+const setPassword = async (user, password) => {
+  const errors = checkPolicy(password, { email: user.email, name: user.name });
+  if (errors.length) return errors;
+
+  if (!user.isNew && passwordPolicy.historySize > 0 && await isReused(user, password)) {
+    return [`Password must differ from your last ${passwordPolicy.historySize} passwords`];
+  }
+
+  const previousHash = user.password;
+  user.password = await hashPassword(password);
+
+  if (!user.isNew) {
+    if (previousHash && passwordPolicy.historySize > 0) {
+      user.passwordHistory = [previousHash, ...(user.passwordHistory || [])].slice(0, passwordPolicy.historySize);
+    }
+    // Callers also revoke every session, which covers tokens issued earlier
+    // in the same second that this whole-second comparison lets through
+    user.passwordChangedAt = Date.now();
+  }
+  user.passwordResetRequired = false;
+  user.passwordless = false;
+
+  return [];
+};
+
+/**
+ * Give an account an unguessable password nobody knows (Google sign-ups,
+ * deleted accounts). Skips the policy because the value is never typed.
+ * @param {Object} user - User document; the caller saves it
+ */
+const setRandomPassword = async (user) => {
+  user.password = await hashPassword(crypto.randomBytes(32).toString('hex'));
+  user.passwordless = true;
+};
+
+/**
+ * When the user's password expires, or null if passwords don't expire
+ * @param {Object} user - User document
+ * @returns {Date|null}
+ */
+const getPasswordExpiry = (user) => {
+  if (!passwordPolicy.maxAgeDays) return null;
+  const setAt = user.passwordChangedAt || user.createdAt;
+  if (!setAt) return null;
+  return new Date(new Date(setAt).getTime() + passwordPolicy.maxAgeDays * 24 * 60 * 60 * 1000);
+};
+
+const isPasswordExpired = (user) => {
+  const expiresAt = getPasswordExpiry(user);
+  return !!expiresAt && expiresAt <= new Date();
+};
+
+module.exports = {
+  checkPolicy,
+  isBreached,
+  isHash,
+  hashPassword,
+  verifyPassword,
+  setPassword,
+  setRandomPassword,
+  getPasswordExpiry,
+  isPasswordExpired,
+};
@@ -0,0 +1,332 @@
+// utils/personalData.js
+// Data subject requests under the DPDP Act: exporting everything tied to a
+// user, and erasing it once a deletion request's grace period has ended.
+
+const User = require('../models/user.model');
+const Profile = require('../models/profile.model');
+const Notification = require('../models/notification.model');
+const Case = require('../models/case.model');
+const Document = require('../models/document.model');
+const Event = require('../models/event.model');
+const Firm = require('../models/firm.model');
+const Session = require('../models/session.model');
+const RefreshToken = require('../models/refreshToken.model');
+const LoginHistory = require('../models/loginHistory.model');
+const LoginThrottle = require('../models/loginThrottle.model');
+const ApiKey = require('../models/apiKey.model');
+const CaseHistory = require('../models/caseHistory.model');
+const ConflictCheck = require('../models/conflictCheck.model');
+const MagicLink = require('../models/magicLink.model');
+const CaseInvitation = require('../models/caseInvitation.model');
+const FirmInvitation = require('../models/firmInvitation.model');
+const logger = require('./logger');
+const { createZip } = require('./zip');
+const { caseMembershipFilter } = require('./policy');
+const { setRandomPassword } = require('./passwordService');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+const DELETED_USER_NAME = 'Deleted user';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case history keeps whole copies of these lists, people's details included
+const PEOPLE_FIELDS = ['lawyers', 'clients', 'parties', 'stakeholders', 'advocates'];
+const PERSONAL_KEYS = ['name', 'email', 'contact', 'phone', 'address', 'company', 'gst', 'spock', 'poc'];
+
+// Replace the details of every entry that is the user, at any depth
+const redactPerson = (value, isUser) => {
+  if (Array.isArray(value)) return value.map(item => redactPerson(item, isUser));
+  if (!value || typeof value !== 'object') return value;
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    copy[key] = redactPerson(item, isUser);
+  });
+  if (isUser(value)) {
+    PERSONAL_KEYS.filter(key => key in copy).forEach((key) => {
+      copy[key] = key === 'name' ? DELETED_USER_NAME : null;
+    });
+    if ('user' in copy) copy.user = null;
+  }
+  return copy;
+};
+
+// Case history entries whose snapshots of case people include the user
+const redactCaseHistory = async (userId, email, emailPattern) => {
+  const id = String(userId);
+  const conditions = [{ 'changes.items.key': { $in: [id, emailPattern] } }];
+  ['changes.from', 'changes.to', 'changes.items.from', 'changes.items.to'].forEach((base) => {
+    ['', '.petitioner', '.respondent'].forEach((side) => {
+      conditions.push({ [`${base}${side}.email`]: emailPattern }, { [`${base}${side}.user`]: id });
+    });
+  });
+
+  const isUser = person => String(person.user) === id
+    || (typeof person.email === 'string' && person.email.toLowerCase() === email.toLowerCase());
+  const isUserKey = key => key === id || String(key).toLowerCase() === email.toLowerCase();
+
+  const entries = await CaseHistory.find({ 'changes.field': { $in: PEOPLE_FIELDS }, $or: conditions }).lean();
+  for (const entry of entries) {
+    const changes = entry.changes.map(change => ({
+      ...change,
+      from: redactPerson(change.from, isUser),
+      to: redactPerson(change.to, isUser),
+      ...(change.items && {
+        items: change.items.map(item => ({
+          ...redactPerson(item, isUser),
+          ...(isUserKey(item.key) && { key: DELETED_USER_NAME }),
+        })),
+      }),
+    }));
+    await CaseHistory.updateOne({ _id: entry._id }, { $set: { changes } });
+  }
+};
+
+// Conflict checks that searched for the user, or found them on a case
+const redactConflictChecks = async (emailPattern) => {
+  const isUser = person => !!person && typeof person.email === 'string' && emailPattern.test(person.email);
+  const checks = await ConflictCheck.find({
+    $or: [{ 'subjects.email': emailPattern }, { 'hits.person.email': emailPattern }],
+  }).lean();
+
+  for (const check of checks) {
+    const redactedSubjects = new Set();
+    const subjects = check.subjects.map((subject, index) => {
+      if (!isUser(subject)) return subject;
+      redactedSubjects.add(index);
+      return { ...subject, name: DELETED_USER_NAME, email: null, phone: null };
+    });
+    const hits = check.hits.map(hit => ({
+      ...hit,
+      ...(redactedSubjects.has(hit.subject && hit.subject.index) && {
+        subject: { ...hit.subject, name: DELETED_USER_NAME },
+      }),
+      ...(isUser(hit.person) && {
+        person: { name: DELETED_USER_NAME, email: null, contact: null },
+      }),
+    }));
+    await ConflictCheck.updateOne({ _id: check._id }, { $set: { subjects, hits } });
+  }
+};
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+/**
+ * Build a ZIP archive of the user's personal data
+ * @param {Object} user - User document
+ * @returns {Promise<Buffer>}
+ */
+const buildDataExport = async (user) => {
+  const userId = user._id;
+
+  const [profile, notifications, cases, events, documents, loginHistory, apiKeys] = await Promise.all([
+    Profile.findOne({ user: userId }).lean(),
+    Notification.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Case.find(caseMembershipFilter(userId)).select('-documents -events').lean(),
+    Event.find({ createdBy: userId }).lean(),
+    Document.find({ $or: [{ uploadedBy: userId }, { owner: userId }] })
+      .select('-fileUrl -accessLogs')
+      .lean(),
+    LoginHistory.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    ApiKey.find({ user: userId }).lean(),
+  ]);
+
+  const account = user.toObject();
+  delete account.password;
+
+  const readme = [
+    'Personal data export',
+    `Generated: ${new Date().toISOString()}`,
+    `Account: ${user.email}`,
+    '',
+    'user.json           Your account record',
+    'profile.json        Profile and settings',
+    'notifications.json  In-app notifications',
+    'cases.json          Cases you are a lawyer, client or grantee on',
+    'events.json         Calendar events you created',
+    'documents.json      Metadata for documents you uploaded (files are downloadable from each case)',
+    'login-history.json  Sign-in attempts on your account',
+    'api-keys.json       API keys you created (the keys themselves are never stored)',
+  ].join('\n');
+
+  return createZip([
+    { name: 'README.txt', data: readme },
+    { name: 'user.json', data: toJson(account) },
+    { name: 'profile.json', data: toJson(profile) },
+    { name: 'notifications.json', data: toJson(notifications) },
+    { name: 'cases.json', data: toJson(cases) },
+    { name: 'events.json', data: toJson(events) },
+    { name: 'documents.json', data: toJson(documents) },
+    { name: 'login-history.json', data: toJson(loginHistory) },
+    { name: 'api-keys.json', data: toJson(apiKeys) },
+  ]);
+};
+
+// Remove the user from their firm, handing the firm to the longest-standing
+// member if they were its last partner
+const leaveFirm = async (userId) => {
+  const firm = await Firm.findByMember(userId);
+  if (!firm) return;
+
+  firm.members = firm.members.filter(m => m.user.toString() !== userId.toString());
+  if (firm.members.length === 0) {
+    await firm.deleteOne();
+    return;
+  }
+  if (firm.partnerCount() === 0) {
+    const successor = [...firm.members].sort((a, b) => a.joinedAt - b.joinedAt)[0];
+    successor.role = 'partner';
+  }
+  await firm.save();
+};
+
+/**
+ * Erase a user's personal data. Records shared with other people (cases,
+ * documents, events) are kept, with the user's details replaced by a
+ * placeholder; the User document itself becomes an anonymous tombstone so
+ * existing references such as Event.createdBy still resolve.
+ * @param {Object} user - User document
+ */
+const anonymiseUser = async (user) => {
+  const userId = user._id;
+  const email = user.email;
+
+  // Case teams and client lists
+  await Case.updateMany(
+    { 'lawyers.user': userId },
+    {
+      $set: {
+        'lawyers.$[member].user': null,
+        'lawyers.$[member].name': DELETED_USER_NAME,
+        'lawyers.$[member].email': null,
+        'lawyers.$[member].contact': null,
+        'lawyers.$[member].company': null,
+        'lawyers.$[member].gst': null,
+      },
+    },
+    { arrayFilters: [{ 'member.user': userId }] }
+  );
+  // Client entries linked to the account or carrying its email, and the
+  // parties, stakeholders and advocates recorded under that email
+  const emailPattern = new RegExp(`^${escapeRegex(email)}$`, 'i');
+  await Case.updateMany(
+    { $or: [{ 'clients.user': userId }, { 'clients.email': emailPattern }] },
+    {
+      $set: {
+        'clients.$[member].user': null,
+        'clients.$[member].name': DELETED_USER_NAME,
+        'clients.$[member].email': null,
+        'clients.$[member].contact': null,
+        'clients.$[member].address': null,
+      },
+    },
+    { arrayFilters: [{ $or: [{ 'member.user': userId }, { 'member.email': emailPattern }] }] }
+  );
+  for (const field of ['parties.petitioner', 'parties.respondent', 'stakeholders']) {
+    await Case.updateMany(
+      { [`${field}.email`]: emailPattern },
+      {
+        $set: {
+          [`${field}.$[entry].name`]: DELETED_USER_NAME,
+          [`${field}.$[entry].email`]: null,
+          [`${field}.$[entry].contact`]: null,
+          [`${field}.$[entry].address`]: null,
+        },
+      },
+      { arrayFilters: [{ 'entry.email': emailPattern }] }
+    );
+  }
+  await Case.updateMany(
+    { 'advocates.email': emailPattern },
+    {
+      $set: {
+        'advocates.$[entry].name': DELETED_USER_NAME,
+        'advocates.$[entry].email': null,
+        'advocates.$[entry].contact': null,
+        'advocates.$[entry].company': null,
+        'advocates.$[entry].gst': null,
+        'advocates.$[entry].spock': null,
+        'advocates.$[entry].poc': null,
+      },
+    },
+    { arrayFilters: [{ 'entry.email': emailPattern }] }
+  );
+  await Case.updateMany({ 'accessibleTo.user': userId }, { $pull: { accessibleTo: { user: userId } } });
+  await CaseHistory.updateMany({ actor: userId }, { actorName: DELETED_USER_NAME });
+  await redactCaseHistory(userId, email, emailPattern);
+  await redactConflictChecks(emailPattern);
+
+  // Documents keep their uploader reference (now the tombstone) but lose the name
+  await Document.updateMany({ uploadedBy: userId }, { uploadedByName: DELETED_USER_NAME });
+  await Document.updateMany({ 'accessibleTo.user': userId }, { $pull: { accessibleTo: { user: userId } } });
+
+  // Personal calendar entries go; case events stay, created by the tombstone
+  await Event.deleteMany({ createdBy: userId, case: null });
+  await Event.updateMany({ 'participants.user': userId }, { $pull: { participants: { user: userId } } });
+
+  await leaveFirm(userId);
+
+  await Promise.all([
+    Profile.deleteOne({ user: userId }),
+    Notification.deleteMany({ user: userId }),
+    LoginHistory.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    ApiKey.deleteMany({ user: userId }),
+    MagicLink.deleteMany({ user: userId }),
+    FirmInvitation.deleteMany({ user: userId }),
+    CaseInvitation.deleteMany({ $or: [{ email: emailPattern }, { acceptedBy: userId }] }),
+    LoginThrottle.clear(email),
+  ]);
+
+  const tombstone = await User.findById(userId);
+  tombstone.name = DELETED_USER_NAME;
+  tombstone.email = `deleted-${userId}@deleted.invalid`;
+  await setRandomPassword(tombstone);
+  tombstone.passwordHistory = undefined;
+  tombstone.firebaseUID = undefined;
+  tombstone.isActive = false;
+  tombstone.isEmailVerified = false;
+  tombstone.deactivatedAt = Date.now();
+  tombstone.deactivationReason = 'account_deleted';
+  tombstone.lastLogin = undefined;
+  tombstone.deletionRequestedAt = undefined;
+  tombstone.deletionScheduledFor = undefined;
+  tombstone.deletedAt = Date.now();
+  tombstone.twoFactorSecret = undefined;
+  tombstone.twoFactorPendingSecret = undefined;
+  tombstone.twoFactorRecoveryCodes = undefined;
+  // The placeholder address is deliberately not a deliverable one
+  await tombstone.save({ validateBeforeSave: false });
+
+  logger.info(`Account ${userId} anonymised after deletion request`);
+};
+
+/**
+ * Anonymise every account whose deletion grace period has ended
+ * @returns {Promise<number>} Number of accounts processed
+ */
+const processDueDeletions = async () => {
+  const due = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null,
+  });
+
+  let processed = 0;
+  for (const user of due) {
+    try {
+      await anonymiseUser(user);
+      processed += 1;
+    } catch (error) {
+      logger.error(`Error deleting account ${user._id}: ${error.message}`);
+    }
+  }
+  return processed;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildDataExport,
+  anonymiseUser,
+  processDueDeletions,
+};
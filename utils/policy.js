@@ -0,0 +1,169 @@
+// utils/policy.js
+// Central authorization for cases, documents and events. The rules live in
+// config/policies.js; this module works out how a user relates to a record
+// and whether any of those relationships allows the requested action.
+
+const Case = require('../models/case.model');
+const logger = require('./logger');
+const { policies } = require('../config/policies');
+const { getFirmRole, getFirmId } = require('./firmAccess');
+
+const FIRM_RELATIONS = {
+  partner: 'firmPartner',
+  associate: 'firmAssociate',
+  clerk: 'firmClerk'
+};
+
+// Case fields the policies look at
+const CASE_POLICY_FIELDS = 'lawyer lawyers.user client clients.user accessibleTo firm';
+
+const idOf = (value) => (value && value._id ? value._id : value);
+const sameId = (a, b) => !!a && !!b && idOf(a).toString() === idOf(b).toString();
+
+// Explicit grants from a record's accessibleTo list
+const grantRelations = (resource, userId) => {
+  const grant = (resource.accessibleTo || []).find(g => sameId(g.user, userId));
+  if (!grant) return [];
+  return grant.permission === 'edit' ? ['grantEdit'] : ['grantView'];
+};
+
+const firmRelations = async (resource, userId) => {
+  const role = await getFirmRole(userId, resource);
+  return role ? [FIRM_RELATIONS[role]] : [];
+};
+
+const caseRelations = async (caseItem, userId) => {
+  const relations = [];
+  if (sameId(caseItem.lawyer, userId)) relations.push('primaryLawyer');
+  if ((caseItem.lawyers || []).some(l => sameId(l.user, userId))) relations.push('teamLawyer');
+  if (sameId(caseItem.client, userId)) {
+    relations.push('primaryClient', 'client');
+  } else if ((caseItem.clients || []).some(c => sameId(c.user, userId))) {
+    relations.push('client');
+  }
+  relations.push(...grantRelations(caseItem, userId));
+  relations.push(...await firmRelations(caseItem, userId));
+  return relations;
+};
+
+const documentRelations = async (document, userId) => {
+  const relations = grantRelations(document, userId);
+  if (sameId(document.uploadedBy, userId)) relations.push('uploader');
+  return relations;
+};
+
+const eventRelations = async (event, userId) => {
+  const relations = [];
+  if (sameId(event.createdBy, userId)) relations.push('creator');
+  if ((event.participants || []).some(p => sameId(p.user, userId))) relations.push('participant');
+  relations.push(...await firmRelations(event, userId));
+  return relations;
+};
+
+const RELATION_RESOLVERS = {
+  case: caseRelations,
+  document: documentRelations,
+  event: eventRelations
+};
+
+/**
+ * Check whether a user may perform an action on a record
+ * @param {Object} user - req.user
+ * @param {string} action - read | edit | upload | share | delete
+ * @param {string} type - case | document | event
+ * @param {Object} resource - The record being accessed
+ * @returns {Promise<boolean>}
+ */
+const can = async (user, action, type, resource) => {
+  const allowed = (policies[type] || {})[action];
+  if (!allowed || !resource) return false;
+
+  const relations = await RELATION_RESOLVERS[type](resource, user.id);
+  if (allowed.some(rule => relations.includes(rule))) return true;
+
+  // Rules inherited from the case a document or event belongs to
+  const caseRules = allowed.filter(rule => rule.startsWith('case.') || rule.startsWith('case:'));
+  if (type === 'case' || caseRules.length === 0 || !resource.case) return false;
+
+  const parentCase = await Case.findById(idOf(resource.case)).select(CASE_POLICY_FIELDS);
+  if (!parentCase) return false;
+
+  const parentRelations = await caseRelations(parentCase, user.id);
+  return caseRules.some((rule) => {
+    const name = rule.slice('case.'.length);
+    if (rule.startsWith('case.')) return parentRelations.includes(name);
+    return (policies.case[name] || []).some(r => parentRelations.includes(r));
+  });
+};
+
+/**
+ * Like `can`, but logs the denial against the request
+ * @returns {Promise<boolean>}
+ */
+const checkAccess = async (req, action, type, resource) => {
+  const allowed = await can(req.user, action, type, resource);
+  if (!allowed) {
+    logger.warn(`Access denied: user ${req.user.id} (${req.user.role}) cannot ${action} ${type} ${resource ? resource._id : 'unknown'} [${req.method} ${req.originalUrl}]`);
+  }
+  return allowed;
+};
+
+/**
+ * Cases a user takes part in: as primary or team lawyer, client, or through
+ * an explicit grant. Pass an ObjectId when the filter is used in aggregations.
+ */
+const caseMembershipFilter = (userId) => ({
+  $or: [
+    { lawyer: userId },
+    { 'lawyers.user': userId },
+    { client: userId },
+    { 'clients.user': userId },
+    { 'accessibleTo.user': userId }
+  ]
+});
+
+// Every case a user may read, including their firm's cases
+const readableCaseFilter = async (userId) => {
+  const filter = caseMembershipFilter(userId);
+  const firmId = await getFirmId(userId);
+  if (firmId) filter.$or.push({ firm: firmId });
+  return filter;
+};
+
+const readableCaseIds = async (userId) => {
+  const cases = await Case.find(await readableCaseFilter(userId)).select('_id');
+  return cases.map(c => c._id);
+};
+
+// Documents a user may read: from readable cases, uploaded by or shared with them
+const readableDocumentFilter = async (userId) => ({
+  $or: [
+    { case: { $in: await readableCaseIds(userId) } },
+    { uploadedBy: userId },
+    { 'accessibleTo.user': userId }
+  ]
+});
+
+// Events a user may read: from readable cases, created by or involving them
+const readableEventFilter = async (userId) => {
+  const filter = {
+    $or: [
+      { case: { $in: await readableCaseIds(userId) } },
+      { createdBy: userId },
+      { 'participants.user': userId }
+    ]
+  };
+  const firmId = await getFirmId(userId);
+  if (firmId) filter.$or.push({ firm: firmId });
+  return filter;
+};
+
+module.exports = {
+  can,
+  checkAccess,
+  caseMembershipFilter,
+  readableCaseFilter,
+  readableCaseIds,
+  readableDocumentFilter,
+  readableEventFilter
+};
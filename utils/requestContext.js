@@ -0,0 +1,13 @@
+// utils/requestContext.js
+// Per-request values that need to reach code without a `req`, such as the logger
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Run `fn` (typically Express's `next`) with the given context
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+const getContext = () => storage.getStore() || {};
+
+module.exports = { runWithContext, getContext };
@@ -12,6 +12,14 @@ const SENDGRID_FROM_EMAIL = process.env.SENDGRID_FROM_EMAIL;
 // }
 // To re-enable SendGrid, uncomment above.
 
+// For values taken from a request, such as a sign-in's user agent
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 /**
  * Send an email using SendGrid
  * @param {string} to - Recipient email address
@@ -61,4 +69,80 @@ async function sendCaseNotification(emails, caseTitle, caseLink) {
   */
 }
 
-module.exports = { sendEmail, sendCaseNotification };
+async function sendVerificationEmail(to, name, verifyLink) {
+  return sendEmail({
+    to,
+    subject: 'Verify your email address',
+    text: `Hi ${name},\n\nPlease verify your email address by opening this link: ${verifyLink}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${name},</p><p>Please verify your email address.</p><p><a href="${verifyLink}">Verify Email</a></p><p>The link expires in 24 hours.</p>`
+  });
+}
+
+async function sendPasswordResetEmail(to, name, resetLink) {
+  return sendEmail({
+    to,
+    subject: 'Reset your password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Open this link to choose a new one: ${resetLink}\n\nThe link expires in 30 minutes and can only be used once. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${name},</p><p>We received a request to reset your password.</p><p><a href="${resetLink}">Reset Password</a></p><p>The link expires in 30 minutes and can only be used once. If you did not request this, you can ignore this email.</p>`
+  });
+}
+
+async function sendLoginAlertEmail(to, name, { ip, userAgent, time }) {
+  return sendEmail({
+    to,
+    subject: 'New sign-in to your account',
+    text: `Hi ${name},\n\nYour account was just signed in to from a new device.\n\nTime: ${time}\nIP address: ${ip || 'unknown'}\nDevice: ${userAgent || 'unknown'}\n\nIf this was you, no action is needed. If not, change your password and log out of all sessions immediately.`,
+    html: `<p>Hi ${name},</p><p>Your account was just signed in to from a new device.</p><ul><li>Time: ${time}</li><li>IP address: ${escapeHtml(ip || 'unknown')}</li><li>Device: ${escapeHtml(userAgent || 'unknown')}</li></ul><p>If this was you, no action is needed. If not, change your password and log out of all sessions immediately.</p>`
+  });
+}
+
+async function sendAccountLockedEmail(to, name, unlockLink, lockUntil) {
+  const until = lockUntil.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+  return sendEmail({
+    to,
+    subject: 'Your account has been temporarily locked',
+    text: `Hi ${name},\n\nAfter several failed sign-in attempts your account is locked until ${until}.\n\nIf this was you, you can unlock it now: ${unlockLink}\n\nIf it wasn't, someone may be guessing your password. Consider changing it once you are back in.`,
+    html: `<p>Hi ${name},</p><p>After several failed sign-in attempts your account is locked until ${until}.</p><p>If this was you, you can unlock it now: <a href="${unlockLink}">Unlock Account</a></p><p>If it wasn't, someone may be guessing your password. Consider changing it once you are back in.</p>`
+  });
+}
+
+async function sendAccountDeletionEmail(to, name, scheduledFor) {
+  const when = scheduledFor.toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+  return sendEmail({
+    to,
+    subject: 'Your account is scheduled for deletion',
+    text: `Hi ${name},\n\nWe received a request to delete your account. Your personal data will be erased on ${when}.\n\nChanged your mind? Sign in before then and cancel the deletion from your account settings.`,
+    html: `<p>Hi ${name},</p><p>We received a request to delete your account. Your personal data will be erased on ${when}.</p><p>Changed your mind? Sign in before then and cancel the deletion from your account settings.</p>`
+  });
+}
+
+async function sendCaseInvitationEmail(to, inviterName, caseTitle, role, inviteLink) {
+  const as = role === 'lawyer' ? 'co-counsel' : 'a client';
+  return sendEmail({
+    to,
+    subject: `You have been invited to a case: ${caseTitle}`,
+    text: `Hello,\n\n${inviterName} has invited you to join the case "${caseTitle}" as ${as}.\n\nAccept the invitation: ${inviteLink}\n\nIf you don't have an account yet, you can create one from the same link.`,
+    html: `<p>Hello,</p><p>${inviterName} has invited you to join the case "<strong>${caseTitle}</strong>" as ${as}.</p><p><a href="${inviteLink}">Accept Invitation</a></p><p>If you don't have an account yet, you can create one from the same link.</p>`
+  });
+}
+
+async function sendMagicLinkEmail(to, name, loginLink, expiresInMinutes) {
+  return sendEmail({
+    to,
+    subject: 'Your sign-in link',
+    text: `Hi ${name},\n\nOpen this link to sign in: ${loginLink}\n\nThe link expires in ${expiresInMinutes} minutes, works once, and only in the browser where you asked for it. If you did not request it, you can ignore this email.`,
+    html: `<p>Hi ${name},</p><p><a href="${loginLink}">Sign In</a></p><p>The link expires in ${expiresInMinutes} minutes, works once, and only in the browser where you asked for it. If you did not request it, you can ignore this email.</p>`
+  });
+}
+
+module.exports = {
+  sendEmail,
+  sendCaseNotification,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendLoginAlertEmail,
+  sendAccountLockedEmail,
+  sendAccountDeletionEmail,
+  sendCaseInvitationEmail,
+  sendMagicLinkEmail
+};
@@ -1,5 +1,7 @@
 const Joi = require('joi');
 const logger = require('./logger');
+const { checkPolicy } = require('./passwordService');
+const { CASE_OUTCOMES } = require('../config/caseWorkflow');
 
 // Common schemas
 const emailSchema = Joi.string().email().required().lowercase().trim();
@@ -18,7 +20,8 @@ const schemas = {
     email: emailSchema,
     password: passwordSchema,
     name: Joi.string().min(2).max(100).required().trim(),
-    role: Joi.string().valid('client', 'lawyer').required()
+    role: Joi.string().valid('client', 'lawyer').required(),
+    inviteToken: Joi.string()
   }),
   case: Joi.object({
     title: Joi.string().min(3).max(200).required(),
@@ -44,10 +47,8 @@ const validate = (schema) => (req, res, next) => {
   next();
 };
 
-const validatePassword = (password) => {
-  const { error } = passwordSchema.validate(password);
-  return !error;
-};
+// Full policy check lives in the password service
+const validatePassword = (password) => checkPolicy(password).length === 0;
 
 const createCaseSchema = Joi.object({
   // Core Required Fields
@@ -61,6 +62,9 @@ const createCaseSchema = Joi.object({
     'string.empty': 'Case number cannot be empty',
     'any.required': 'Case number is required'
   }),
+  // Format checks against the court type happen in utils/caseNumber
+  filingNumber: Joi.string().allow('', null).optional(),
+  cnrNumber: Joi.string().allow('', null).optional(),
   caseType: Joi.string().valid("civil", "criminal", "family", "commercial", "writ", "arbitration", "labour", "revenue", "motor_accident", "appeal", "revision", "execution", "other").required().messages({
     'any.only': 'Invalid case type',
     'any.required': 'Case type is required'
@@ -69,6 +73,10 @@ const createCaseSchema = Joi.object({
     'any.only': 'Invalid status',
     'any.required': 'Status is required'
   }),
+  // Needed when the case is opened as closed; see utils/caseWorkflow
+  outcome: Joi.string().valid(...CASE_OUTCOMES).optional().messages({
+    'any.only': `Outcome must be one of: ${CASE_OUTCOMES.join(', ')}`
+  }),
 
   // Optional Fields
   description: Joi.string().allow('', null).optional(),
@@ -183,6 +191,25 @@ const createCaseSchema = Joi.object({
       address: Joi.string().allow('', null).optional()
     })
   ).default([]), // stakeholders array is optional, defaults to empty
+
+  // Conflict-of-interest intake step: run a check now, or open the case on a
+  // clear or overridden check run earlier
+  runConflictCheck: Joi.boolean().optional(),
+  conflictCheckId: Joi.string().hex().length(24).optional(),
+  // Create the case even though it looks like one that already exists
+  ignoreDuplicates: Joi.boolean().optional(),
+  // Firm template to open the case from; the firm's template for the case
+  // type is used by default unless applyTemplate is false
+  templateId: Joi.string().hex().length(24).optional(),
+  applyTemplate: Joi.boolean().optional(),
+  // Earlier or connected cases; appeals, revisions and executions name their parent here
+  links: Joi.array().items(
+    Joi.object({
+      case: Joi.string().hex().length(24).required(),
+      type: Joi.string().valid('appeal_of', 'revision_of', 'execution_of', 'connected_with', 'transferred_from').required(),
+      note: Joi.string().allow('', null).optional()
+    })
+  ).optional()
 }).unknown(false);
 
 const updateCaseSchema = Joi.object({
@@ -191,6 +218,8 @@ const updateCaseSchema = Joi.object({
     'string.max': 'Case title cannot exceed 100 characters'
   }),
   caseNumber: Joi.string().optional(), // Usually not updatable, but making optional for schema
+  filingNumber: Joi.string().allow('', null).optional(),
+  cnrNumber: Joi.string().allow('', null).optional(),
   caseType: Joi.string().valid("civil", "criminal", "family", "commercial", "writ", "arbitration", "labour", "revenue", "motor_accident", "appeal", "revision", "execution", "other").optional().messages({
     'any.only': 'Invalid case type'
   }),